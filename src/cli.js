@@ -0,0 +1,245 @@
+/**
+ * Command-line argument handling
+ * Parses flags for non-interactive (CI / scripting) runs
+ */
+
+/**
+ * Process exit codes used by the CLI
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  USAGE: 2,
+  CONFIG: 3,
+  NO_FILES: 4,
+  PARTIAL: 5,
+  QA_FAILED: 6
+};
+
+/**
+ * Flags that take a value, mapped to the option name they set
+ */
+const VALUE_FLAGS = {
+  '--input': 'input',
+  '-i': 'input',
+  '--output': 'output',
+  '-o': 'output',
+  '--source': 'source',
+  '-s': 'source',
+  '--target': 'target',
+  '-t': 'target',
+  '--file': 'file',
+  '-f': 'file',
+  '--older-than': 'olderThan',
+  '--concurrency': 'concurrency',
+  '--provider': 'provider',
+  '--qa-report': 'qaReport',
+  '--keys': 'keys',
+  '--import-xliff': 'importXliff',
+  '--xliff-version': 'xliffVersion'
+};
+
+/**
+ * Boolean flags, mapped to the option name they set
+ */
+const BOOLEAN_FLAGS = {
+  '--all': 'all',
+  '-a': 'all',
+  '--yes': 'yes',
+  '-y': 'yes',
+  '--help': 'help',
+  '-h': 'help',
+  '--no-cache': 'noCache',
+  '--dry-run': 'dryRun',
+  '--export-xliff': 'exportXliff',
+  '--fail-on-qa-errors': 'failOnQaErrors'
+};
+
+/**
+ * Options that override .env values, mapped to their environment variable
+ */
+const ENV_OVERRIDES = {
+  input: 'INPUT_DIR',
+  output: 'OUTPUT_DIR',
+  source: 'SOURCE_LANG',
+  target: 'TARGET_LANG',
+  concurrency: 'REQUEST_CONCURRENCY',
+  provider: 'PROVIDER',
+  qaReport: 'QA_REPORT',
+  keys: 'KEY_FILTER',
+  importXliff: 'XLIFF_IMPORT',
+  xliffVersion: 'XLIFF_VERSION'
+};
+
+export const HELP_TEXT = `Usage: npm start -- [options]
+       npm start -- <command> [args]
+
+Without options the translator runs interactively.
+
+Commands:
+  memory stats               Show translation memory statistics
+  memory search <text>       List memory entries containing <text>
+  memory export <file>       Export the memory as .json or .tsv
+  memory prune [--older-than <days>]
+                             Remove entries unused for <days> (default 90)
+  memory clear               Remove every memory entry
+  glossary list              List local glossary files and DeepL glossaries
+  glossary create [pair...]  Upload local glossaries (e.g. en-tr) to DeepL
+  glossary update [pair...]  Replace DeepL glossaries with the local files
+  glossary delete <pair|id>  Delete DeepL glossaries
+
+Options:
+  -i, --input <dir>     Input directory (overrides INPUT_DIR)
+  -o, --output <dir>    Output directory (overrides OUTPUT_DIR)
+  -s, --source <lang>   Source language (overrides SOURCE_LANG)
+  -t, --target <langs>  Target language, or a comma-separated list
+                        (overrides TARGET_LANG)
+  -f, --file <glob>     Translate files matching a glob, relative to the
+                        input directory (repeatable)
+  -a, --all             Translate every supported file in the input directory
+      --keys <rules>    Comma-separated key-path globs selecting the values to
+                        translate in structured files; prefix with ! to exclude
+                        (e.g. "messages.**,!**.permission"; overrides KEY_FILTER)
+  -y, --yes             Skip the confirmation prompt
+      --no-cache        Do not read or write the translation memory
+      --dry-run         Count the strings and characters that would be sent
+                        and check the DeepL quota, without translating
+      --qa-report <path>
+                        Write the QA report to <path>.json and <path>.txt
+                        (overrides QA_REPORT; no report files without it)
+      --fail-on-qa-errors
+                        Exit with code 6 when the QA check finds errors
+      --export-xliff    Write the values to translate as XLIFF files (one per
+                        file and language, <output>/<file>.xlf) instead of
+                        translating
+      --import-xliff <dir>
+                        Translate with the XLIFF files in <dir> (or one file)
+                        instead of the provider (overrides XLIFF_IMPORT)
+      --xliff-version <v>
+                        XLIFF version of exported files: 1.2 or 2.0
+                        (overrides XLIFF_VERSION)
+      --concurrency <n> Maximum parallel API requests
+                        (overrides REQUEST_CONCURRENCY)
+      --provider <name> Translation provider: deepl, libretranslate,
+                        identity or mock (overrides PROVIDER)
+  -h, --help            Show this help
+
+Exit codes:
+  0  Success
+  1  Unexpected error
+  2  Invalid command-line usage
+  3  Configuration error
+  4  No matching files found
+  5  Some files or values failed to translate
+  6  QA errors found (with --fail-on-qa-errors)
+When several apply, 6 takes precedence over 5.
+`;
+
+/**
+ * Error raised for invalid command-line usage
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parses command-line arguments
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @returns {Object} - Parsed options; `files` and `commandArgs` are always arrays
+ */
+export function parseArgs(argv) {
+  const options = { files: [], commandArgs: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let inlineValue = null;
+
+    // Support --flag=value
+    const equalsIndex = arg.indexOf('=');
+    if (arg.startsWith('--') && equalsIndex !== -1) {
+      inlineValue = arg.slice(equalsIndex + 1);
+      arg = arg.slice(0, equalsIndex);
+    }
+
+    if (VALUE_FLAGS[arg]) {
+      const value = inlineValue !== null ? inlineValue : argv[++i];
+      if (value === undefined || value === '') {
+        throw new UsageError(`Option ${arg} requires a value`);
+      }
+
+      const name = VALUE_FLAGS[arg];
+      if (name === 'file') {
+        options.files.push(value);
+      } else {
+        options[name] = value;
+      }
+    } else if (BOOLEAN_FLAGS[arg]) {
+      if (inlineValue !== null) {
+        throw new UsageError(`Option ${arg} does not take a value`);
+      }
+      options[BOOLEAN_FLAGS[arg]] = true;
+    } else if (!arg.startsWith('-') && (options.command || i === 0)) {
+      // Positional arguments: a leading command name and its arguments
+      if (options.command) {
+        options.commandArgs.push(arg);
+      } else {
+        options.command = arg;
+      }
+    } else {
+      throw new UsageError(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (options.all && options.files.length > 0) {
+    throw new UsageError('--all cannot be combined with --file');
+  }
+
+  return options;
+}
+
+/**
+ * Checks whether any command-line flags were given
+ * @param {Object} options - Options from parseArgs
+ * @returns {boolean} - True if the run should skip the interactive defaults
+ */
+export function hasFlags(options) {
+  return Object.keys(options).some(key => key !== 'files' && key !== 'commandArgs') ||
+    options.files.length > 0;
+}
+
+/**
+ * Applies command-line overrides on top of environment variables
+ * @param {Object} env - Environment variables
+ * @param {Object} options - Options from parseArgs
+ * @returns {Object} - New environment object with overrides applied
+ */
+export function applyEnvOverrides(env, options) {
+  const merged = { ...env };
+
+  for (const [option, variable] of Object.entries(ENV_OVERRIDES)) {
+    if (options[option] !== undefined) {
+      merged[variable] = options[option];
+    }
+  }
+
+  if (options.noCache) {
+    merged.TRANSLATION_MEMORY = 'off';
+  }
+
+  if (options.dryRun) {
+    merged.DRY_RUN = 'true';
+  }
+
+  if (options.failOnQaErrors) {
+    merged.QA_FAIL_ON_ERRORS = 'true';
+  }
+
+  if (options.exportXliff) {
+    merged.XLIFF_EXPORT = 'true';
+  }
+
+  return merged;
+}
@@ -0,0 +1,137 @@
+/**
+ * Delimited text (CSV/TSV) utilities
+ * RFC 4180 parsing with quoted fields, escaped quotes and embedded newlines
+ */
+
+// Delimiters recognized in the header line of a .csv file
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+/**
+ * Parses delimited text into rows of fields
+ * @param {string} content - File content
+ * @param {string} delimiter - Field delimiter (',' for CSV, '\t' for TSV)
+ * @returns {Array<Array<string>>} - Rows of fields
+ */
+export function parseDelimited(content, delimiter = ',') {
+  return scanDelimited(content, delimiter).map(row => row.cells.map(cell => cell.value));
+}
+
+/**
+ * Scans delimited text into rows of fields with their location in the source, for in-place edits
+ * A UTF-8 byte order mark is skipped; offsets still refer to the content as given
+ * @param {string} content - File content
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Object>} - [{ cells: [{ value, start, end, quoted }], end }] where end is the
+ *   offset of the row's line break (or of the end of the content)
+ */
+export function scanDelimited(content, delimiter = ',') {
+  const rows = [];
+  let cells = [];
+  let field = '';
+  let fieldStart = content.charCodeAt(0) === 0xfeff ? 1 : 0;
+  let quoted = false;
+  let inQuotes = false;
+  let i = fieldStart;
+
+  const endField = (end) => {
+    cells.push({ value: field, start: fieldStart, end, quoted });
+    field = '';
+    quoted = false;
+  };
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        // Escaped quote
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field.length === 0) {
+      inQuotes = true;
+      quoted = true;
+    } else if (char === delimiter) {
+      endField(i);
+      fieldStart = i + 1;
+    } else if (char === '\r' || char === '\n') {
+      endField(i);
+      rows.push({ cells, end: i });
+      cells = [];
+      // Treat CRLF as a single line break
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      fieldStart = i + 1;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  // Last row without a trailing newline
+  if (field.length > 0 || cells.length > 0) {
+    endField(content.length);
+    rows.push({ cells, end: content.length });
+  }
+
+  return rows;
+}
+
+/**
+ * Formats a value as a delimited field, quoting it when needed
+ * @param {string} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @param {boolean} quoted - Quote the field even if it does not need it
+ * @returns {string} - Field source
+ */
+export function formatDelimitedField(value, delimiter = ',', quoted = false) {
+  if (quoted || value.includes(delimiter) || /["\r\n]/.test(value)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
+
+/**
+ * Picks the delimiter for a file from its extension
+ * @param {string} filePath - File path
+ * @returns {string} - '\t' for .tsv/.tab files, ',' otherwise
+ */
+export function delimiterForFile(filePath) {
+  return /\.(tsv|tab)$/i.test(filePath) ? '\t' : ',';
+}
+
+/**
+ * Detects the delimiter of a file from its first line: the candidate (",", ";", tab, "|") found
+ * most often outside quotes
+ * @param {string} content - File content
+ * @param {string} fallback - Delimiter used when the first line holds none of the candidates
+ * @returns {string} - Delimiter
+ */
+export function detectDelimiter(content, fallback = ',') {
+  const counts = new Map(DELIMITER_CANDIDATES.map(candidate => [candidate, 0]));
+  let inQuotes = false;
+
+  for (const char of content) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\r' || char === '\n')) {
+      break;
+    } else if (!inQuotes && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  const [best, count] = [...counts].reduce((a, b) => (b[1] > a[1] ? b : a));
+  return count > 0 ? best : fallback;
+}
@@ -0,0 +1,304 @@
+/**
+ * CSV/TSV spreadsheet handler
+ * Translates localization spreadsheets with a key column and one column per language: the
+ * target-language column is filled from the source column, and added when it is missing
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { translateBatch, estimateBatch } from './translator.js';
+import { loadSource } from './sourceCache.js';
+import { scanDelimited, formatDelimitedField, delimiterForFile, detectDelimiter } from './csv.js';
+import { xliffLanguage } from './xliff.js';
+import { replaceRanges } from './utils.js';
+import { filterByKeyPath } from './keyFilter.js';
+import cliProgress from 'cli-progress';
+
+// Spreadsheet file extensions
+export const SPREADSHEET_EXTENSIONS = ['.csv', '.tsv'];
+
+// Default spreadsheet settings (overridable with "csv" in translator.config.json)
+const DEFAULT_CSV_OPTIONS = {
+  keyColumn: 'key',    // Header of the column holding the keys (key paths of the rows)
+  sourceColumn: null,  // Header of the source column; detected from the source language when null
+  overwrite: false,    // Retranslate cells that already have a translation
+  delimiter: null      // Field delimiter; tab for .tsv, detected from the header line for .csv when null
+};
+
+// Spreadsheets written in this run, by output path: every target language adds its column to the same file
+const writtenSheets = new Map();
+
+/**
+ * Translates a CSV or TSV spreadsheet
+ * @param {string} inputPath - Path to input spreadsheet
+ * @param {string} outputPath - Path to output spreadsheet
+ * @param {Object} config - Translator configuration
+ * @returns {Promise<Object>} - { total, failed } value counts
+ */
+export async function translateCsvFile(inputPath, outputPath, config) {
+  const format = path.extname(inputPath).slice(1).toUpperCase();
+  console.log(`\n📄 Processing ${format} file: ${path.basename(inputPath)} (${config.sourceLang} → ${config.targetLang})`);
+
+  const configured = (config.settings && config.settings.csv) || {};
+  const options = { ...DEFAULT_CSV_OPTIONS, ...configured };
+
+  // Read the source file (once per run); later languages continue from the spreadsheet written so far
+  const { content: sourceContent } = await loadSource(inputPath);
+  const fileContent = writtenSheets.get(outputPath) ?? sourceContent;
+  const delimiter = options.delimiter || (delimiterForFile(inputPath) === '\t' ? '\t' : detectDelimiter(fileContent));
+  const rows = scanDelimited(fileContent, delimiter);
+
+  // Locate the key, source and target columns
+  const columns = resolveColumns(rows, options, configured, config);
+
+  // Collect the cells to fill (minus those skipped by the key rules)
+  const collected = collectSourceCells(rows, columns, options.overwrite);
+  const translations = filterByKeyPath(collected, config);
+
+  // Key paths identify the values in XLIFF exchange files
+  const csvConfig = { ...config, keyPaths: translations.map(item => item.path) };
+
+  // Dry run: count what would be sent, without calling the API or writing output
+  if (config.dryRun) {
+    const estimate = estimateBatch(translations.map(item => item.value), csvConfig);
+    return { total: translations.length, failed: 0, estimate };
+  }
+
+  await fs.ensureDir(path.dirname(outputPath));
+
+  if (translations.length === 0) {
+    console.log('⚠️  No untranslated cells found');
+    await writeSheet(outputPath, replaceRanges(fileContent, buildEdits(rows, columns, [], delimiter)));
+    return { total: 0, failed: 0 };
+  }
+
+  if (columns.added) {
+    console.log(`➕ Adding column "${columns.targetName}"`);
+  }
+  console.log(`📝 Found ${translations.length} cells to translate`);
+
+  // Create progress bar
+  const progressBar = new cliProgress.SingleBar({
+    format: 'Translation Progress |{bar}| {percentage}% | {value}/{total} cells',
+    barCompleteChar: '\u2588',
+    barIncompleteChar: '\u2591',
+    hideCursor: true
+  });
+
+  progressBar.start(translations.length, 0);
+
+  // Translate all cells in batches and write incrementally
+  const values = translations.map(item => item.value);
+  const { errors } = await translateBatch(values, csvConfig, async (completed, total, updates) => {
+    for (const [index, translated] of updates) {
+      translations[index].target = translated;
+    }
+
+    // Fill the translated cells and write current state to file
+    const edits = buildEdits(rows, columns, translations.filter(item => item.target !== undefined), delimiter);
+    await writeSheet(outputPath, replaceRanges(fileContent, edits));
+
+    progressBar.update(completed);
+  });
+
+  progressBar.stop();
+
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} cells could not be translated and were left as they were`);
+  }
+
+  console.log(`✅ Translation complete: ${path.basename(outputPath)}`);
+
+  return { total: translations.length, failed: errors.length };
+}
+
+/**
+ * Validates spreadsheet settings from the project configuration
+ * @param {Object} options - { keyColumn, sourceColumn, overwrite, delimiter }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validateCsvOptions(options) {
+  const errors = [];
+  const { keyColumn, sourceColumn, overwrite, delimiter, ...unknown } = options;
+
+  for (const key of Object.keys(unknown)) {
+    errors.push(`unknown option "${key}" (expected keyColumn, sourceColumn, overwrite, delimiter)`);
+  }
+  for (const [name, value] of [['keyColumn', keyColumn], ['sourceColumn', sourceColumn]]) {
+    if (value !== undefined && (typeof value !== 'string' || value.trim() === '')) {
+      errors.push(`${name} must be a column header`);
+    }
+  }
+  if (overwrite !== undefined && typeof overwrite !== 'boolean') {
+    errors.push('overwrite must be true or false');
+  }
+  if (delimiter !== undefined && (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter))) {
+    errors.push('delimiter must be a single character other than a quote or a line break');
+  }
+
+  return errors;
+}
+
+/**
+ * Writes a spreadsheet and remembers it for the next target language of the run
+ * @param {string} outputPath - Path to output spreadsheet
+ * @param {string} content - Spreadsheet content
+ * @returns {Promise<void>}
+ */
+async function writeSheet(outputPath, content) {
+  writtenSheets.set(outputPath, content);
+  await fs.writeFile(outputPath, content, 'utf-8');
+}
+
+/**
+ * Locates the key, source and target columns in the header row
+ * Without a key column, rows are identified by their row number. The source column is found by
+ * its header or by the source language, the target column by the target language; a missing
+ * target column is added after the last one
+ * @param {Array<Object>} rows - Rows from scanDelimited
+ * @param {Object} options - Resolved spreadsheet settings
+ * @param {Object} configured - Spreadsheet settings given in translator.config.json
+ * @param {Object} config - Translator configuration (sourceLang, targetLang)
+ * @returns {Object} - { key, source, target, targetName, added } with column indices (key is -1 without a key column)
+ */
+function resolveColumns(rows, options, configured, config) {
+  if (rows.length === 0) {
+    throw new Error('The spreadsheet is empty (expected a header row)');
+  }
+
+  const headers = rows[0].cells.map(cell => cell.value.trim());
+  const list = headers.map(header => JSON.stringify(header)).join(', ');
+
+  const key = findColumn(headers, options.keyColumn);
+  if (key === -1 && configured.keyColumn !== undefined) {
+    throw new Error(`No key column "${options.keyColumn}" (columns: ${list})`);
+  }
+
+  const source = options.sourceColumn
+    ? findColumn(headers, options.sourceColumn)
+    : findLanguageColumn(headers, config.sourceLang, [key]);
+  if (source === -1 || source === key) {
+    const expected = options.sourceColumn ? `"${options.sourceColumn}"` : `for ${config.sourceLang}`;
+    throw new Error(`No source column ${expected} (columns: ${list}); set "sourceColumn" under "csv" in translator.config.json`);
+  }
+
+  const target = findLanguageColumn(headers, config.targetLang, [key, source]);
+  if (target !== -1) {
+    return { key, source, target, targetName: headers[target], added: false };
+  }
+  return { key, source, target: headers.length, targetName: languageColumnName(config.targetLang, headers[source]), added: true };
+}
+
+/**
+ * Finds a column by its header (case-insensitive)
+ * @param {Array<string>} headers - Trimmed header cells
+ * @param {string} name - Column header
+ * @returns {number} - Column index, or -1
+ */
+function findColumn(headers, name) {
+  return headers.findIndex(header => header.toLowerCase() === name.trim().toLowerCase());
+}
+
+/**
+ * Finds the column of a language: its exact code ("de", "pt-BR", "pt_BR"), or for codes without
+ * a region the first column of a regional variant ("de-DE")
+ * @param {Array<string>} headers - Trimmed header cells
+ * @param {string} lang - Language code
+ * @param {Array<number>} excluded - Indices of columns that cannot be the language column
+ * @returns {number} - Column index, or -1
+ */
+function findLanguageColumn(headers, lang, excluded) {
+  const normalize = value => value.toLowerCase().replace(/_/g, '-');
+  const code = normalize(lang);
+  const candidates = headers.map((header, index) => [normalize(header), index]).filter(([, index]) => !excluded.includes(index));
+
+  const exact = candidates.find(([header]) => header === code);
+  if (exact) {
+    return exact[1];
+  }
+  const regional = code.includes('-') ? null : candidates.find(([header]) => header.split('-')[0] === code);
+  return regional ? regional[1] : -1;
+}
+
+/**
+ * Returns the header of an added language column, written like the source column header
+ * ("DE" next to "EN", "pt_BR" next to "en_US", "pt-BR" otherwise)
+ * @param {string} lang - Target language code
+ * @param {string} sourceHeader - Header of the source column
+ * @returns {string} - Column header
+ */
+function languageColumnName(lang, sourceHeader) {
+  const tag = xliffLanguage(lang);
+  const name = sourceHeader.includes('_') ? tag.replace(/-/g, '_') : tag;
+  return /[a-z]/.test(sourceHeader) ? name : name.toUpperCase();
+}
+
+/**
+ * Collects the source cells of the rows whose target cell is empty (or of every row with overwrite)
+ * Blank lines and rows with an empty source cell are skipped
+ * @param {Array<Object>} rows - Rows from scanDelimited
+ * @param {Object} columns - Columns from resolveColumns
+ * @param {boolean} overwrite - Whether filled target cells are retranslated
+ * @returns {Array<Object>} - [{ value, row, path }] where row is the row index
+ */
+function collectSourceCells(rows, columns, overwrite) {
+  const cells = [];
+
+  rows.forEach((row, index) => {
+    const cell = column => (row.cells[column] ? row.cells[column].value : '');
+    if (index === 0 || isBlankRow(row) || cell(columns.source).trim() === '') {
+      return;
+    }
+    if (!overwrite && cell(columns.target).trim() !== '') {
+      return;
+    }
+
+    // Rows without a key are identified by their row number (the header being row 1)
+    const key = columns.key === -1 ? '' : cell(columns.key).trim();
+    cells.push({ value: cell(columns.source), row: index, path: key || String(index + 1) });
+  });
+
+  return cells;
+}
+
+/**
+ * Builds the edits writing translated cells. Existing cells are replaced; an added column gets
+ * its header and a cell in every row, and short rows are padded to reach the target column
+ * Cells are quoted when needed, or when the cell (or the row's source cell) was quoted
+ * @param {Array<Object>} rows - Rows from scanDelimited
+ * @param {Object} columns - Columns from resolveColumns
+ * @param {Array<Object>} translated - Collected cells with their translated target
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Object>} - Edits for replaceRanges
+ */
+function buildEdits(rows, columns, translated, delimiter) {
+  const targets = new Map(translated.map(item => [item.row, item.target]));
+  const edits = [];
+
+  rows.forEach((row, index) => {
+    const value = index === 0 ? columns.targetName : targets.get(index);
+    const existing = row.cells[columns.target];
+    const quoted = Boolean(row.cells[columns.source] && row.cells[columns.source].quoted);
+
+    if (existing) {
+      if (index > 0 && value !== undefined) {
+        edits.push({ start: existing.start, end: existing.end, source: formatDelimitedField(value, delimiter, existing.quoted) });
+      }
+    } else if ((value !== undefined || columns.added) && !isBlankRow(row)) {
+      const padding = delimiter.repeat(columns.target - row.cells.length + 1);
+      const field = value === undefined ? '' : formatDelimitedField(value, delimiter, quoted);
+      edits.push({ start: row.end, end: row.end, source: padding + field });
+    }
+  });
+
+  return edits;
+}
+
+/**
+ * Checks whether a row is a blank line
+ * @param {Object} row - Row from scanDelimited
+ * @returns {boolean} - True for a line without any field
+ */
+function isBlankRow(row) {
+  return row.cells.length === 1 && row.cells[0].value === '' && !row.cells[0].quoted;
+}
@@ -0,0 +1,310 @@
+/**
+ * Glossary support
+ * Loads local CSV/TSV glossaries per language pair, manages their DeepL copies
+ * and checks that glossary terms came out as their expected translations
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { parseDelimited, delimiterForFile } from './csv.js';
+import { listGlossaries, createGlossary, deleteGlossary, toGlossaryLanguage } from './providers/deepl.js';
+import { getProviderName } from './providers/index.js';
+import { UsageError } from './cli.js';
+import { protectPlaceholders, escapeXml } from './utils.js';
+
+// Default directory holding glossary files named <source>-<target>.csv or .tsv (e.g. en-tr.csv)
+export const DEFAULT_GLOSSARY_DIR = './glossaries';
+
+// Default prefix for glossary names on the DeepL account
+const DEFAULT_GLOSSARY_PREFIX = 'translator';
+
+const GLOSSARY_FILE_PATTERN = /^([a-z]{2,3})-([a-z]{2,3})\.(csv|tsv)$/i;
+
+/**
+ * Resolves the glossary directory from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {string} - Absolute directory path
+ */
+export function resolveGlossaryDir(env) {
+  return path.resolve(env.GLOSSARY_DIR || DEFAULT_GLOSSARY_DIR);
+}
+
+/**
+ * Builds the language pair key used for file and glossary names
+ * @param {string} sourceLang - Source language code
+ * @param {string} targetLang - Target language code
+ * @returns {string} - Pair key (e.g. "en-tr")
+ */
+export function glossaryPair(sourceLang, targetLang) {
+  return `${toGlossaryLanguage(sourceLang)}-${toGlossaryLanguage(targetLang)}`;
+}
+
+/**
+ * Builds the DeepL glossary name for a language pair
+ * @param {Object} env - Environment variables
+ * @param {string} pair - Pair key (e.g. "en-tr")
+ * @returns {string} - Glossary name
+ */
+function glossaryName(env, pair) {
+  return `${env.GLOSSARY_PREFIX || DEFAULT_GLOSSARY_PREFIX}:${pair}`;
+}
+
+/**
+ * Finds local glossary files
+ * @param {string} dir - Glossary directory
+ * @returns {Promise<Map<string, string>>} - Pair key → file path
+ */
+export async function findLocalGlossaries(dir) {
+  const files = new Map();
+
+  if (!await fs.pathExists(dir)) {
+    return files;
+  }
+
+  for (const name of await fs.readdir(dir)) {
+    const match = name.match(GLOSSARY_FILE_PATTERN);
+    if (match) {
+      files.set(`${match[1]}-${match[2]}`.toLowerCase(), path.join(dir, name));
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Reads glossary entries from a CSV/TSV file with "source,target" rows
+ * An optional "source,target" header row is skipped, and duplicate source terms keep their first entry
+ * @param {string} filePath - Glossary file path
+ * @returns {Promise<Array<Array<string>>>} - [source, target] pairs
+ */
+export async function readGlossaryFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  const rows = parseDelimited(content, delimiterForFile(filePath));
+  const entries = [];
+  const seen = new Set();
+
+  rows.forEach((row, index) => {
+    const [source = '', target = ''] = row.map(field => field.trim());
+
+    if (source === '' || target === '') {
+      return;
+    }
+    if (index === 0 && source.toLowerCase() === 'source' && target.toLowerCase() === 'target') {
+      return;
+    }
+    if (seen.has(source)) {
+      console.warn(`⚠️  Duplicate glossary term "${source}" in ${path.basename(filePath)} (keeping the first entry)`);
+      return;
+    }
+
+    seen.add(source);
+    entries.push([source, target]);
+  });
+
+  return entries;
+}
+
+/**
+ * Loads the glossaries for a run
+ * Local entries are always loaded for the enforcement check; with the DeepL provider
+ * the matching DeepL glossary ID is looked up by name so requests can use it
+ * @param {Object} env - Environment variables
+ * @param {string} sourceLang - Source language code
+ * @param {Array<string>} targetLangs - Target language codes
+ * @returns {Promise<Map<string, Object>>} - Target language → { pair, entries, id }
+ */
+export async function loadGlossaries(env, sourceLang, targetLangs) {
+  const glossaries = new Map();
+  const localFiles = await findLocalGlossaries(resolveGlossaryDir(env));
+
+  for (const targetLang of targetLangs) {
+    const pair = glossaryPair(sourceLang, targetLang);
+    if (localFiles.has(pair)) {
+      const entries = await readGlossaryFile(localFiles.get(pair));
+      glossaries.set(targetLang, { pair, entries, id: null });
+    }
+  }
+
+  if (glossaries.size === 0 || getProviderName(env) !== 'deepl') {
+    return glossaries;
+  }
+
+  let remote;
+  try {
+    remote = await listGlossaries(env);
+  } catch (error) {
+    console.warn(`⚠️  Could not list DeepL glossaries: ${error.message}`);
+    return glossaries;
+  }
+
+  for (const glossary of glossaries.values()) {
+    const match = remote.find(item => item.name === glossaryName(env, glossary.pair) && item.ready);
+
+    if (!match) {
+      console.warn(`⚠️  No DeepL glossary for ${glossary.pair} yet. Run "npm start -- glossary create ${glossary.pair}" to upload it.`);
+    } else {
+      glossary.id = match.glossary_id;
+      if (match.entry_count !== glossary.entries.length) {
+        console.warn(`⚠️  DeepL glossary ${glossary.pair} has ${match.entry_count} entries but the local file has ${glossary.entries.length}. Run "npm start -- glossary update ${glossary.pair}".`);
+      }
+    }
+  }
+
+  return glossaries;
+}
+
+/**
+ * Builds a case-insensitive regular expression matching a whole term
+ * @param {string} term - Glossary term
+ * @returns {RegExp} - Regular expression
+ */
+function termPattern(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+/**
+ * Lists glossary terms that occur in a source text but whose expected
+ * translation is missing from the translated text
+ * @param {string} source - Source text
+ * @param {string} translation - Translated text
+ * @param {Array<Array<string>>} entries - [source, target] glossary entries
+ * @returns {Array<Object>} - [{ term, expected }]
+ */
+export function findGlossaryMisses(source, translation, entries) {
+  // Match against the protected (XML-escaped) form so color codes glued to words ("&aSpawn") don't hide terms
+  const sourceText = protectPlaceholders(source).text;
+  const translatedText = protectPlaceholders(translation).text;
+
+  return entries
+    .filter(([term, expected]) =>
+      termPattern(escapeXml(term)).test(sourceText) && !termPattern(escapeXml(expected)).test(translatedText)
+    )
+    .map(([term, expected]) => ({ term, expected }));
+}
+
+/**
+ * Selects local glossary files for a command
+ * @param {Map<string, string>} localFiles - Pair key → file path
+ * @param {Array<string>} pairs - Requested pairs (all when empty)
+ * @returns {Array<Array<string>>} - [pair, filePath] entries
+ */
+function selectLocalFiles(localFiles, pairs) {
+  if (pairs.length === 0) {
+    return [...localFiles.entries()];
+  }
+
+  return pairs.map(pair => {
+    const key = pair.toLowerCase();
+    if (!localFiles.has(key)) {
+      throw new UsageError(`No local glossary file for ${pair} (expected ${key}.csv or ${key}.tsv)`);
+    }
+    return [key, localFiles.get(key)];
+  });
+}
+
+/**
+ * Uploads a local glossary file as a new DeepL glossary
+ * @param {Object} env - Environment variables
+ * @param {string} pair - Pair key
+ * @param {string} filePath - Glossary file path
+ * @returns {Promise<Object>} - Created glossary description
+ */
+async function uploadGlossary(env, pair, filePath) {
+  const [sourceLang, targetLang] = pair.split('-');
+  const entries = await readGlossaryFile(filePath);
+
+  if (entries.length === 0) {
+    throw new Error(`${path.basename(filePath)} has no entries`);
+  }
+
+  return createGlossary(env, { name: glossaryName(env, pair), sourceLang, targetLang, entries });
+}
+
+/**
+ * Runs a `glossary` CLI command
+ * @param {Array<string>} args - Command arguments (subcommand first)
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+export async function runGlossaryCommand(args, options, env) {
+  const [subcommand, ...rest] = args;
+
+  if (!env.DEEPL_API_KEY) {
+    throw new Error('DEEPL_API_KEY is required for glossary commands');
+  }
+
+  const dir = resolveGlossaryDir(env);
+  const localFiles = await findLocalGlossaries(dir);
+  const remote = await listGlossaries(env);
+  const remoteByName = name => remote.filter(item => item.name === name);
+
+  switch (subcommand) {
+    case 'list':
+    case undefined: {
+      console.log(`📚 Local glossaries (${dir}):`);
+      if (localFiles.size === 0) {
+        console.log('   (none)');
+      }
+      for (const [pair, filePath] of localFiles) {
+        const uploaded = remoteByName(glossaryName(env, pair)).length > 0;
+        console.log(`   ${pair}  ${path.basename(filePath)}  ${uploaded ? '✅ uploaded' : '⚠️  not uploaded'}`);
+      }
+
+      console.log('\n☁️  DeepL glossaries:');
+      if (remote.length === 0) {
+        console.log('   (none)');
+      }
+      for (const item of remote) {
+        console.log(`   ${item.name}  ${item.source_lang}→${item.target_lang}  ${item.entry_count} entries  ${item.glossary_id}`);
+      }
+      break;
+    }
+    case 'create': {
+      for (const [pair, filePath] of selectLocalFiles(localFiles, rest)) {
+        if (remoteByName(glossaryName(env, pair)).length > 0) {
+          console.log(`⏭️  ${pair} already exists on DeepL (use "glossary update ${pair}" to replace it)`);
+          continue;
+        }
+        const created = await uploadGlossary(env, pair, filePath);
+        console.log(`✅ Created ${created.name} with ${created.entry_count} entries (${created.glossary_id})`);
+      }
+      break;
+    }
+    case 'update': {
+      // DeepL glossaries are immutable, so an update replaces the glossary. The old ones are
+      // only deleted once the replacement is uploaded, so a failed upload leaves them in place
+      for (const [pair, filePath] of selectLocalFiles(localFiles, rest)) {
+        const created = await uploadGlossary(env, pair, filePath);
+        for (const existing of remoteByName(glossaryName(env, pair))) {
+          if (existing.glossary_id !== created.glossary_id) {
+            await deleteGlossary(env, existing.glossary_id);
+          }
+        }
+        console.log(`🔄 Updated ${created.name} with ${created.entry_count} entries (${created.glossary_id})`);
+      }
+      break;
+    }
+    case 'delete': {
+      if (rest.length === 0) {
+        throw new UsageError('Usage: glossary delete <pair|glossary_id>...');
+      }
+      for (const target of rest) {
+        const matches = remote.filter(item =>
+          item.glossary_id === target || item.name === glossaryName(env, target.toLowerCase())
+        );
+        if (matches.length === 0) {
+          console.log(`⚠️  No DeepL glossary matches ${target}`);
+        }
+        for (const item of matches) {
+          await deleteGlossary(env, item.glossary_id);
+          console.log(`🗑️  Deleted ${item.name} (${item.glossary_id})`);
+        }
+      }
+      break;
+    }
+    default:
+      throw new UsageError(`Unknown glossary command: ${subcommand}`);
+  }
+}
@@ -0,0 +1,359 @@
+/**
+ * ICU MessageFormat support
+ * Parses messages such as "{count, plural, one {# item} other {# items}}" so only the literal
+ * text of each branch is translated, and adapts plural branches to the target language
+ */
+
+// Complex argument types whose branches hold translatable messages
+const BRANCH_TYPES = ['plural', 'selectordinal', 'select'];
+
+// Detects a message with at least one plural/select argument
+const ICU_PATTERN = /\{\s*[\w.]+\s*,\s*(?:plural|selectordinal|select)\s*,/;
+
+// CLDR plural category order, used for generated branches
+const CATEGORY_ORDER = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Checks whether a string is an ICU message with plural/select arguments
+ * @param {string} text - Text to check
+ * @returns {boolean} - True for ICU messages
+ */
+export function isIcuMessage(text) {
+  return typeof text === 'string' && ICU_PATTERN.test(text);
+}
+
+/**
+ * Parses an ICU message
+ * @param {string} text - ICU message
+ * @returns {Array<Object>} - Message nodes: text, pound, argument (raw) and plural/selectordinal/select
+ */
+export function parseIcu(text) {
+  const parser = { text, pos: 0 };
+  const nodes = parseMessage(parser, false);
+
+  if (parser.pos < text.length) {
+    throw new Error(`Unexpected "${text[parser.pos]}" at position ${parser.pos}`);
+  }
+  return nodes;
+}
+
+/**
+ * Parses message nodes until a closing brace or the end of the text
+ * @param {Object} parser - { text, pos }
+ * @param {boolean} inPlural - Whether "#" stands for the plural number
+ * @returns {Array<Object>} - Message nodes
+ */
+function parseMessage(parser, inPlural) {
+  const nodes = [];
+  let literal = '';
+
+  const flush = () => {
+    if (literal) {
+      nodes.push({ type: 'text', value: literal });
+      literal = '';
+    }
+  };
+
+  while (parser.pos < parser.text.length) {
+    const char = parser.text[parser.pos];
+    const next = parser.text[parser.pos + 1];
+
+    if (char === '}') {
+      break;
+    }
+    if (char === '{') {
+      flush();
+      nodes.push(parseArgument(parser));
+    } else if (char === '#' && inPlural) {
+      flush();
+      nodes.push({ type: 'pound' });
+      parser.pos++;
+    } else if (char === "'" && next === "'") {
+      literal += "'";
+      parser.pos += 2;
+    } else if (char === "'" && (next === '{' || next === '}' || next === '|' || (next === '#' && inPlural))) {
+      // Quoted literal text up to the next single apostrophe
+      parser.pos++;
+      while (parser.pos < parser.text.length) {
+        if (parser.text[parser.pos] === "'" && parser.text[parser.pos + 1] === "'") {
+          literal += "'";
+          parser.pos += 2;
+        } else if (parser.text[parser.pos] === "'") {
+          parser.pos++;
+          break;
+        } else {
+          literal += parser.text[parser.pos++];
+        }
+      }
+    } else {
+      literal += char;
+      parser.pos++;
+    }
+  }
+
+  flush();
+  return nodes;
+}
+
+/**
+ * Parses an argument starting at "{"
+ * @param {Object} parser - { text, pos }
+ * @returns {Object} - Argument node
+ */
+function parseArgument(parser) {
+  const start = parser.pos;
+  const header = parser.text.slice(start).match(/^\{\s*([\w.]+)\s*(?:,\s*(\w+)\s*)?/);
+
+  if (!header) {
+    throw new Error(`Invalid argument at position ${start}`);
+  }
+
+  const [, name, type] = header;
+  if (!BRANCH_TYPES.includes(type)) {
+    // Simple argument ({name}, {n, number}, {d, date, short}): kept exactly as written
+    const end = findClosingBrace(parser.text, start);
+    parser.pos = end + 1;
+    return { type: 'argument', raw: parser.text.slice(start, end + 1) };
+  }
+
+  parser.pos = start + header[0].length;
+  expect(parser, ',');
+
+  const node = { type, name, offset: null, options: [] };
+  skipWhitespace(parser);
+
+  const offset = parser.text.slice(parser.pos).match(/^offset\s*:\s*(\d+)/);
+  if (offset && type !== 'select') {
+    node.offset = Number(offset[1]);
+    parser.pos += offset[0].length;
+  }
+
+  for (;;) {
+    skipWhitespace(parser);
+    if (parser.text[parser.pos] === '}') {
+      parser.pos++;
+      break;
+    }
+
+    const selector = parser.text.slice(parser.pos).match(/^(=\d+|[\w-]+)/);
+    if (!selector) {
+      throw new Error(`Invalid ${type} selector at position ${parser.pos}`);
+    }
+    parser.pos += selector[0].length;
+    skipWhitespace(parser);
+    expect(parser, '{');
+    const message = parseMessage(parser, type !== 'select');
+    expect(parser, '}');
+    node.options.push({ selector: selector[0], message });
+  }
+
+  if (!node.options.some(option => option.selector === 'other')) {
+    throw new Error(`The ${type} argument "${name}" has no "other" branch`);
+  }
+  return node;
+}
+
+/**
+ * Finds the brace closing the one at a position
+ * @param {string} text - Message text
+ * @param {number} start - Position of "{"
+ * @returns {number} - Position of the matching "}"
+ */
+function findClosingBrace(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  throw new Error(`Unclosed argument at position ${start}`);
+}
+
+/**
+ * Advances past whitespace
+ * @param {Object} parser - { text, pos }
+ */
+function skipWhitespace(parser) {
+  while (/\s/.test(parser.text[parser.pos] || '')) {
+    parser.pos++;
+  }
+}
+
+/**
+ * Consumes an expected character, after optional whitespace
+ * @param {Object} parser - { text, pos }
+ * @param {string} char - Expected character
+ */
+function expect(parser, char) {
+  skipWhitespace(parser);
+  if (parser.text[parser.pos] !== char) {
+    throw new Error(`Expected "${char}" at position ${parser.pos}`);
+  }
+  parser.pos++;
+}
+
+/**
+ * Prints message nodes back to ICU syntax
+ * @param {Array<Object>} nodes - Message nodes
+ * @param {boolean} inPlural - Whether "#" must be quoted in literal text
+ * @returns {string} - ICU message
+ */
+export function printIcu(nodes, inPlural = false) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return escapeLiteral(node.value, inPlural);
+      case 'pound':
+        return '#';
+      case 'argument':
+        return node.raw;
+      default: {
+        const offset = node.offset !== null ? ` offset:${node.offset}` : '';
+        const options = node.options
+          .map(option => `${option.selector} {${printIcu(option.message, node.type !== 'select')}}`)
+          .join(' ');
+        return `{${node.name}, ${node.type},${offset} ${options}}`;
+      }
+    }
+  }).join('');
+}
+
+/**
+ * Escapes literal text: apostrophes before syntax characters are doubled and syntax characters quoted
+ * @param {string} value - Literal text
+ * @param {boolean} inPlural - Whether "#" is a syntax character
+ * @returns {string} - Escaped text
+ */
+function escapeLiteral(value, inPlural) {
+  const special = inPlural ? /[{}#|]/ : /[{}|]/;
+  let result = '';
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    const next = value[i + 1];
+    if (char === "'" && (next === undefined || next === "'" || special.test(next))) {
+      result += "''";
+    } else if (special.test(char) && char !== '|') {
+      result += `'${char}'`;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Splits an ICU message into translation units: one template per message body,
+ * where "#", arguments and nested plural/select arguments are replaced by brace tokens
+ * @param {string} text - ICU message
+ * @returns {Object} - { nodes, units: [{ template, nodes, tokens }] }
+ */
+export function extractIcuUnits(text) {
+  const nodes = parseIcu(text);
+  const units = [];
+
+  const visit = (messageNodes) => {
+    const tokens = [];
+    const template = messageNodes.map(node => {
+      if (node.type === 'text') {
+        return node.value;
+      }
+      tokens.push(node);
+      if (BRANCH_TYPES.includes(node.type)) {
+        node.options.forEach(option => visit(option.message));
+      }
+      return node.type === 'argument' ? node.raw : `{${node.type === 'pound' ? '#' : `ICU_${tokens.length - 1}`}}`;
+    }).join('');
+
+    units.push({ template, nodes: messageNodes, tokens });
+  };
+
+  visit(nodes);
+  return { nodes, units };
+}
+
+/**
+ * Rebuilds the nodes of a unit from its translated template, in place
+ * @param {Object} unit - Unit from extractIcuUnits
+ * @param {string} translated - Translated template
+ */
+export function applyIcuTranslation(unit, translated) {
+  const tokenNodes = unit.tokens;
+  const rebuilt = [];
+
+  for (const part of translated.split(/(\{[^{}]*\})/)) {
+    if (part === '') {
+      continue;
+    }
+    const complex = part.match(/^\{ICU_(\d+)\}$/);
+    if (part === '{#}') {
+      rebuilt.push({ type: 'pound' });
+    } else if (complex && tokenNodes[Number(complex[1])]) {
+      rebuilt.push(tokenNodes[Number(complex[1])]);
+    } else if (tokenNodes.some(node => node.type === 'argument' && node.raw === part)) {
+      rebuilt.push({ type: 'argument', raw: part });
+    } else {
+      rebuilt.push({ type: 'text', value: part });
+    }
+  }
+
+  unit.nodes.splice(0, unit.nodes.length, ...rebuilt);
+}
+
+/**
+ * Returns the plural categories a language uses
+ * @param {string} lang - Language code (e.g. "RU", "PT-BR")
+ * @param {boolean} ordinal - Ordinal (selectordinal) instead of cardinal categories
+ * @returns {Array<string>} - Categories in CLDR order
+ */
+export function pluralCategories(lang, ordinal = false) {
+  const locale = lang.toLowerCase();
+  const supported = Intl.PluralRules.supportedLocalesOf([locale, locale.split('-')[0]]);
+  const categories = supported.length > 0
+    ? new Intl.PluralRules(supported[0], { type: ordinal ? 'ordinal' : 'cardinal' }).resolvedOptions().pluralCategories
+    : ['one', 'other'];
+
+  return CATEGORY_ORDER.filter(category => categories.includes(category));
+}
+
+/**
+ * Adapts every plural/selectordinal argument to the target language's categories
+ * Categories the language does not use are dropped (exact "=n" branches are kept);
+ * missing ones are copied from "other" and reported for review
+ * @param {Array<Object>} nodes - Message nodes
+ * @param {string} targetLang - Target language code
+ * @returns {Array<string>} - Descriptions of generated branches
+ */
+export function adaptPluralCategories(nodes, targetLang) {
+  const generated = [];
+
+  for (const node of nodes) {
+    if (!BRANCH_TYPES.includes(node.type)) {
+      continue;
+    }
+    node.options.forEach(option => generated.push(...adaptPluralCategories(option.message, targetLang)));
+    if (node.type === 'select') {
+      continue;
+    }
+
+    const categories = pluralCategories(targetLang, node.type === 'selectordinal');
+    const other = node.options.find(option => option.selector === 'other');
+    const exact = node.options.filter(option => option.selector.startsWith('='));
+
+    const options = categories.map(category => {
+      const existing = node.options.find(option => option.selector === category);
+      if (existing) {
+        return existing;
+      }
+      generated.push(`"${category}" branch of {${node.name}} copied from "other"`);
+      return { selector: category, message: other.message };
+    });
+
+    node.options = [...exact, ...options];
+  }
+
+  return generated;
+}
@@ -1,38 +1,60 @@
 /**
  * INI file handler
- * Translates .ini files while preserving sections, keys, and comments
+ * Translates .ini files line by line, rewriting only the value part of translatable
+ * key = value lines so comments, blank lines, quoting, section order and duplicate keys are preserved
  */
 
 import fs from 'fs-extra';
 import path from 'path';
-import ini from 'ini';
-import { translateText } from './translator.js';
+import { translateBatch, estimateBatch } from './translator.js';
+import { loadSource } from './sourceCache.js';
+import { replaceRanges } from './utils.js';
+import { filterByKeyPath, filterByRules, createKeyMatcher, validateKeyRules, joinKeyPath } from './keyFilter.js';
 import cliProgress from 'cli-progress';
 
+// Default INI settings (overridable with "ini" in translator.config.json)
+const DEFAULT_INI_OPTIONS = {
+  sections: []   // Section globs to translate, "!" excludes
+};
+
+// Unquoted values read as booleans, null or numbers rather than text
+const NON_TEXT_VALUE = /^(?:true|false|null|[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)$/i;
+
 /**
  * Translates an INI file
  * @param {string} inputPath - Path to input INI file
  * @param {string} outputPath - Path to output INI file
  * @param {Object} config - Translator configuration
+ * @returns {Promise<Object>} - { total, failed } value counts
  */
 export async function translateIniFile(inputPath, outputPath, config) {
-  console.log(`\n📄 Processing INI file: ${path.basename(inputPath)}`);
+  console.log(`\n📄 Processing INI file: ${path.basename(inputPath)} (${config.sourceLang} → ${config.targetLang})`);
+
+  const options = { ...DEFAULT_INI_OPTIONS, ...(config.settings && config.settings.ini) };
+
+  // Read and parse INI file (parsed once per run, reused for every language)
+  const { content: fileContent, data: entries } = await loadSource(inputPath, parseIni);
 
-  // Read file content
-  const fileContent = await fs.readFile(inputPath, 'utf-8');
-  
-  // Parse INI
-  const data = ini.parse(fileContent);
+  // Collect translatable values (minus those skipped by the section and key rules)
+  const collected = entries.filter(entry => entry.value.trim().length > 0 && !(entry.quote === '' && NON_TEXT_VALUE.test(entry.value)));
+  const inSections = filterByRules(collected, createKeyMatcher(options.sections), entry => entry.section, config,
+    { name: 'Section rules', prefix: 'section ' });
+  const translations = filterByKeyPath(inSections, config);
 
-  // Collect translatable values
-  const translations = [];
-  collectTranslatableValues(data, translations);
+  // Key paths identify the values in XLIFF exchange files
+  const iniConfig = { ...config, keyPaths: translations.map(item => item.path) };
+
+  // Dry run: count what would be sent, without calling the API or writing output
+  if (config.dryRun) {
+    const estimate = estimateBatch(translations.map(item => item.value), iniConfig);
+    return { total: translations.length, failed: 0, estimate };
+  }
 
   if (translations.length === 0) {
     console.log('⚠️  No translatable content found');
     await fs.ensureDir(path.dirname(outputPath));
     await fs.writeFile(outputPath, fileContent, 'utf-8');
-    return;
+    return { total: 0, failed: 0 };
   }
 
   console.log(`📝 Found ${translations.length} values to translate`);
@@ -50,44 +72,186 @@ export async function translateIniFile(inputPath, outputPath, config) {
 
   progressBar.start(translations.length, 0);
 
-  // Translate each value and write incrementally
-  for (let i = 0; i < translations.length; i++) {
-    const item = translations[i];
-    try {
-      const translated = await translateText(item.value, config);
-      item.ref[item.key] = translated;
-
-      // Write current state to file
-      const iniOutput = ini.stringify(data);
-      await fs.writeFile(outputPath, iniOutput, 'utf-8');
-
-      progressBar.update(i + 1);
-    } catch (error) {
-      console.error(`\n❌ Error translating "${item.value}": ${error.message}`);
-      progressBar.update(i + 1);
+  // Translate all values in batches and write incrementally
+  const values = translations.map(item => item.value);
+  const { errors } = await translateBatch(values, iniConfig, async (completed, total, updates) => {
+    for (const [index, translated] of updates) {
+      const item = translations[index];
+      // Unchanged values keep their exact source (escapes, quoting)
+      if (translated !== item.value) {
+        item.source = encodeIniValue(translated, item);
+      }
     }
-  }
+
+    // Rewrite the translated values and write current state to file
+    const output = replaceRanges(fileContent, translations.filter(item => item.source !== undefined)
+      .map(item => ({ start: item.start, end: item.end, source: item.source })));
+    await fs.writeFile(outputPath, output, 'utf-8');
+
+    progressBar.update(completed);
+  });
 
   progressBar.stop();
 
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} values could not be translated and were kept as-is`);
+  }
+
   console.log(`✅ Translation complete: ${path.basename(outputPath)}`);
+
+  return { total: translations.length, failed: errors.length };
 }
 
 /**
- * Recursively collects all translatable string values from INI data
- * @param {*} obj - Current object/value being processed
- * @param {Array} translations - Array to collect translations
- * @param {Object} parent - Parent object reference
- * @param {string} key - Key in parent object
+ * Validates INI settings from the project configuration
+ * @param {Object} options - { sections }
+ * @returns {Array<string>} - Error messages (empty if valid)
  */
-function collectTranslatableValues(obj, translations, parent = null, key = null) {
-  if (typeof obj === 'string') {
-    if (obj.trim().length > 0) {
-      translations.push({ value: obj, ref: parent, key });
+export function validateIniOptions(options) {
+  const errors = [];
+  const { sections, ...unknown } = options;
+
+  for (const key of Object.keys(unknown)) {
+    errors.push(`unknown option "${key}" (expected sections)`);
+  }
+  if (sections !== undefined) {
+    errors.push(...validateKeyRules(sections).map(error => `sections: ${error.replace('key-path glob', 'section glob')}`));
+  }
+
+  return errors;
+}
+
+/**
+ * Parses the key = value lines of an INI file, reading them the way the ini package does
+ * Lines starting with ";" or "#" are comments, "[name]" starts a section (dots nest sections),
+ * "key[]" keys build arrays, and unquoted values end at an unescaped ";" or "#"
+ * @param {string} content - File content
+ * @returns {Array<Object>} - [{ value, start, end, quote, json, section, path }] where start/end delimit
+ *   the raw value (inside its quotes) and section is null before the first section header
+ */
+export function parseIni(content) {
+  const entries = [];
+  const arrayCounts = new Map();
+  const linePattern = /([^\r\n]*)(\r\n|\r|\n|$)/g;
+  let section = null;
+
+  for (let match; (match = linePattern.exec(content)) && match[0] !== '';) {
+    // A byte order mark is not part of the first line
+    const offset = match.index === 0 && match[1].startsWith('\uFEFF') ? 1 : 0;
+    const line = match[1].slice(offset);
+    const lineStart = match.index + offset;
+
+    if (/^\s*(?:[;#]|$)/.test(line)) {
+      continue;
+    }
+
+    const header = line.match(/^\s*\[([^\]]*)\]\s*(?:[;#].*)?$/);
+    if (header) {
+      section = decodeIniValue(header[1]).value;
+      continue;
     }
-  } else if (typeof obj === 'object' && obj !== null) {
-    for (const [k, v] of Object.entries(obj)) {
-      collectTranslatableValues(v, translations, obj, k);
+
+    const separator = line.indexOf('=');
+    if (separator === -1) {
+      continue;
     }
+
+    let key = decodeIniValue(line.slice(0, separator)).value;
+    const keyPath = section === null ? [] : splitSections(section);
+    if (key.length > 2 && key.endsWith('[]')) {
+      key = key.slice(0, -2);
+      const id = JSON.stringify([...keyPath, key]);
+      const index = arrayCounts.get(id) || 0;
+      arrayCounts.set(id, index + 1);
+      keyPath.push(key, index);
+    } else {
+      keyPath.push(key);
+    }
+
+    const decoded = decodeIniValue(line.slice(separator + 1));
+    const valueOffset = lineStart + separator + 1;
+    entries.push({
+      value: decoded.value,
+      start: valueOffset + decoded.start,
+      end: valueOffset + decoded.end,
+      quote: decoded.quote,
+      json: decoded.json,
+      section,
+      path: joinKeyPath(keyPath)
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Splits a section name into nested sections at unescaped dots
+ * @param {string} section - Section name (e.g. "messages.errors")
+ * @returns {Array<string>} - Section names
+ */
+function splitSections(section) {
+  return section.split(/(?<!\\)\./).map(part => part.replace(/\\\./g, '.'));
+}
+
+/**
+ * Decodes a raw key or value like ini's unsafe(): surrounding quotes are removed ("..." is read
+ * as a JSON string when it is one), and an unquoted value ends at an unescaped ";" or "#"
+ * @param {string} raw - Raw text after the separator
+ * @returns {Object} - { value, start, end, quote, json } where start/end delimit the raw value in raw
+ */
+function decodeIniValue(raw) {
+  const start = raw.length - raw.trimStart().length;
+  const trimmed = raw.trim();
+  const quote = trimmed[0];
+
+  if (trimmed.length > 1 && (quote === '"' || quote === "'") && trimmed.endsWith(quote)) {
+    const inner = trimmed.slice(1, -1);
+    const result = { value: inner, start: start + 1, end: start + trimmed.length - 1, quote, json: false };
+    if (quote === '"') {
+      try {
+        result.value = JSON.parse(trimmed);
+        result.json = true;
+      } catch {
+        // Not a JSON string: the text between the quotes is the value
+      }
+    }
+    return result;
+  }
+
+  let value = '';
+  let end = start;
+  for (let i = start; i < raw.length; i++) {
+    const char = raw[i];
+    if (char === ';' || char === '#') {
+      break;
+    }
+    if (char === '\\' && i + 1 < raw.length) {
+      const next = raw[++i];
+      value += '\\;#'.includes(next) ? next : `\\${next}`;
+    } else {
+      value += char;
+    }
+    if (char !== ' ' && char !== '\t') {
+      end = i + 1;
+    }
+  }
+
+  return { value: value.trim(), start, end, quote: '', json: false };
+}
+
+/**
+ * Encodes a translated value in the style of the original one
+ * @param {string} value - Translated value
+ * @param {Object} original - Parsed entry ({ quote, json })
+ * @returns {string} - Raw value to write between the original quotes (if any)
+ */
+function encodeIniValue(value, original) {
+  if (original.json) {
+    return JSON.stringify(value).slice(1, -1);
+  }
+  if (original.quote) {
+    return value;
   }
+  // Unquoted: ";" and "#" would start a comment, and a backslash before them needs escaping
+  return value.trim().replace(/\\(?=[\\;#]|$)/g, '\\\\').replace(/[;#]/g, '\\$&');
 }
@@ -1,11 +1,15 @@
 /**
  * JSON file handler
  * Parses, translates, and saves JSON files while preserving structure
+ * Minecraft text components are translated by their display text only
  */
 
 import fs from 'fs-extra';
 import path from 'path';
-import { translateText } from './translator.js';
+import { translateBatch, estimateBatch } from './translator.js';
+import { loadSource } from './sourceCache.js';
+import { filterByKeyPath, joinKeyPath } from './keyFilter.js';
+import { isTextComponent, isComponentArray, extractComponentUnits, extractComponentStringUnits, applyComponentTranslation, componentConfig } from './textComponent.js';
 import cliProgress from 'cli-progress';
 
 /**
@@ -13,21 +17,32 @@ import cliProgress from 'cli-progress';
  * @param {string} inputPath - Path to input JSON file
  * @param {string} outputPath - Path to output JSON file
  * @param {Object} config - Translator configuration
+ * @returns {Promise<Object>} - { total, failed } value counts
  */
 export async function translateJsonFile(inputPath, outputPath, config) {
-  console.log(`\n📄 Processing JSON file: ${path.basename(inputPath)}`);
+  console.log(`\n📄 Processing JSON file: ${path.basename(inputPath)} (${config.sourceLang} → ${config.targetLang})`);
 
-  // Read and parse JSON file
-  const fileContent = await fs.readFile(inputPath, 'utf-8');
-  const data = JSON.parse(fileContent);
+  // Read and parse JSON file (parsed once per run, reused for every language)
+  const { data } = await loadSource(inputPath, JSON.parse);
 
-  // Collect all translatable values
-  const translations = [];
-  collectTranslatableValues(data, translations);
+  // Collect all translatable values (minus those skipped by the key rules)
+  const collected = [];
+  collectTranslatableValues(data, collected);
+  const translations = filterByKeyPath(collected, config);
+
+  // Markers between merged text component segments are protected like formatting codes,
+  // and key paths identify the values in XLIFF exchange files
+  const jsonConfig = { ...componentConfig(config), keyPaths: translations.map(item => item.path) };
+
+  // Dry run: count what would be sent, without calling the API or writing output
+  if (config.dryRun) {
+    const estimate = estimateBatch(translations.map(item => item.value), jsonConfig);
+    return { total: translations.length, failed: 0, estimate };
+  }
 
   if (translations.length === 0) {
     console.log('⚠️  No translatable content found');
-    return;
+    return { total: 0, failed: 0 };
   }
 
   console.log(`📝 Found ${translations.length} values to translate`);
@@ -45,56 +60,82 @@ export async function translateJsonFile(inputPath, outputPath, config) {
 
   progressBar.start(translations.length, 0);
 
-  // Translate each value and write incrementally
-  for (let i = 0; i < translations.length; i++) {
-    const item = translations[i];
-    try {
-      const translated = await translateText(item.value, config);
-      item.ref[item.key] = translated;
-      
-      // Write current state to file after each translation
-      const jsonOutput = JSON.stringify(data, null, 2);
-      await fs.writeFile(outputPath, jsonOutput, 'utf-8');
-      
-      progressBar.update(i + 1);
-    } catch (error) {
-      console.error(`\n❌ Error translating "${item.value}": ${error.message}`);
-      // Keep original value on error
-      progressBar.update(i + 1);
+  // Translate all values in batches and write incrementally
+  const values = translations.map(item => item.value);
+  const { errors } = await translateBatch(values, jsonConfig, async (completed, total, updates) => {
+    for (const [index, translated] of updates) {
+      const item = translations[index];
+      if (!item.unit) {
+        item.ref[item.key] = translated;
+      } else {
+        applyComponentTranslation(item.unit, translated, item.holder);
+        // Text components stored as JSON strings are serialized again
+        if (item.holder && item.holder.changed) {
+          item.ref[item.key] = JSON.stringify(item.holder.component);
+        }
+      }
     }
-  }
+
+    // Write current state to file after each batch
+    const jsonOutput = JSON.stringify(data, null, 2);
+    await fs.writeFile(outputPath, jsonOutput, 'utf-8');
+
+    progressBar.update(completed);
+  });
 
   progressBar.stop();
 
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} values could not be translated and were kept as-is`);
+  }
+
   console.log(`✅ Translation complete: ${path.basename(outputPath)}`);
+
+  return { total: translations.length, failed: errors.length };
 }
 
 /**
  * Recursively collects all translatable string values from JSON data
+ * Text components (objects, or strings holding one) contribute their display text as units
  * @param {*} obj - Current object/value being processed
  * @param {Array} translations - Array to collect translations
  * @param {Object} parent - Parent object reference
  * @param {string} key - Key in parent object
+ * @param {Array<string|number>} keyPath - Key segments leading to the value
  */
-function collectTranslatableValues(obj, translations, parent = null, key = null) {
+function collectTranslatableValues(obj, translations, parent = null, key = null, keyPath = []) {
   if (typeof obj === 'string' && obj.trim().length > 0) {
     // This is a translatable string value
     if (parent && key !== null) {
+      const component = extractComponentStringUnits(obj, keyPath);
+      if (component) {
+        for (const unit of component.units) {
+          translations.push({ value: unit.value, unit, holder: component.holder, ref: parent, key, path: joinKeyPath(unit.path) });
+        }
+        return;
+      }
+
       translations.push({
         value: obj,
         ref: parent,
-        key: key
+        key: key,
+        path: joinKeyPath(keyPath)
       });
     }
+  } else if (isTextComponent(obj) || isComponentArray(obj)) {
+    // Only the display text of a component is translated, not its colors, fonts or click actions
+    for (const unit of extractComponentUnits(parent || { root: obj }, parent ? key : 'root', keyPath)) {
+      translations.push({ value: unit.value, unit, path: joinKeyPath(unit.path) });
+    }
   } else if (Array.isArray(obj)) {
     // Process array elements
     obj.forEach((item, index) => {
-      collectTranslatableValues(item, translations, obj, index);
+      collectTranslatableValues(item, translations, obj, index, [...keyPath, index]);
     });
   } else if (typeof obj === 'object' && obj !== null) {
     // Process object properties
     for (const [k, v] of Object.entries(obj)) {
-      collectTranslatableValues(v, translations, obj, k);
+      collectTranslatableValues(v, translations, obj, k, [...keyPath, k]);
     }
   }
 }
@@ -0,0 +1,133 @@
+/**
+ * Key-path filters
+ * Include/exclude rules written as key-path globs ("messages.**", "!**.permission") decide
+ * which values of a structured file (JSON, YAML, TOML, INI, XML, SNBT, properties, PO, XLIFF, CSV/TSV) are translated
+ */
+
+import { globToRegExp } from './utils.js';
+
+// Summary label for values skipped because no include rule matched them
+export const NOT_INCLUDED = '(not included)';
+
+/**
+ * Resolves the key rules for one file
+ * Rules from translator.config.json come first, so rules given with --keys / KEY_FILTER win
+ * @param {Object} settings - Resolved file settings from translator.config.json
+ * @param {Object} env - Environment variables
+ * @returns {Array<string>} - Rules in evaluation order
+ */
+export function resolveKeyRules(settings, env) {
+  return [...(settings.keys || []), ...parseKeyRuleList(env.KEY_FILTER)];
+}
+
+/**
+ * Splits a comma-separated rule list
+ * @param {string} value - Rule list (e.g. "messages.**,!**.permission")
+ * @returns {Array<string>} - Rules
+ */
+export function parseKeyRuleList(value) {
+  return (value || '').split(',').map(rule => rule.trim()).filter(Boolean);
+}
+
+/**
+ * Validates key rules
+ * @param {*} rules - Rules from the project configuration or the command line
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validateKeyRules(rules) {
+  if (!Array.isArray(rules)) {
+    return ['must be an array of key-path globs'];
+  }
+
+  return rules
+    .filter(rule => typeof rule !== 'string' || rule.replace(/^!/, '').trim() === '')
+    .map(rule => `invalid rule ${JSON.stringify(rule)} (expected a key-path glob, optionally prefixed with "!")`);
+}
+
+/**
+ * Compiles key rules into a matcher
+ * Like .gitignore, the last matching rule decides. When there are include rules, values
+ * matching none of them are skipped; otherwise everything is included by default
+ * @param {Array<string>} rules - Rules in evaluation order
+ * @returns {Function|null} - (keyPath) => skipping rule or null when included; null without rules
+ */
+export function createKeyMatcher(rules) {
+  if (rules.length === 0) {
+    return null;
+  }
+
+  const compiled = rules.map(rule => {
+    const exclude = rule.startsWith('!');
+    return { rule, exclude, pattern: globToRegExp(rule.slice(exclude ? 1 : 0).trim(), '.') };
+  });
+  const hasIncludes = compiled.some(entry => !entry.exclude);
+
+  return (keyPath) => {
+    for (let i = compiled.length - 1; i >= 0; i--) {
+      if (compiled[i].pattern.test(keyPath)) {
+        return compiled[i].exclude ? compiled[i].rule : null;
+      }
+    }
+    return hasIncludes ? NOT_INCLUDED : null;
+  };
+}
+
+/**
+ * Joins key segments into a key path (object keys and array indices, separated by ".")
+ * @param {Array<string|number>} segments - Key segments
+ * @returns {string} - Key path (e.g. "items.0.name")
+ */
+export function joinKeyPath(segments) {
+  return segments.join('.');
+}
+
+/**
+ * Removes collected values whose key path is skipped by the file's key rules
+ * Skips are counted per rule in the language summary and reported for the file
+ * @param {Array<Object>} translations - Collected values with a `path` key path
+ * @param {Object} config - Translator configuration (keyRules, summary)
+ * @returns {Array<Object>} - Values to translate
+ */
+export function filterByKeyPath(translations, config) {
+  return filterByRules(translations, createKeyMatcher(config.keyRules || []), item => item.path, config);
+}
+
+/**
+ * Removes collected values skipped by a rule matcher
+ * @param {Array<Object>} translations - Collected values
+ * @param {Function|null} match - Matcher from createKeyMatcher
+ * @param {Function} getPath - Returns the path matched for a value (null = not subject to the rules)
+ * @param {Object} config - Translator configuration (summary)
+ * @param {Object} labels - { name: rule kind in the file report, prefix: summary label prefix }
+ * @returns {Array<Object>} - Values to translate
+ */
+export function filterByRules(translations, match, getPath, config, labels = { name: 'Key rules', prefix: '' }) {
+  if (!match) {
+    return translations;
+  }
+
+  const skipped = {};
+  const kept = translations.filter(item => {
+    const itemPath = getPath(item);
+    const rule = itemPath === null ? null : match(itemPath);
+    if (rule) {
+      skipped[rule] = (skipped[rule] || 0) + 1;
+    }
+    return !rule;
+  });
+
+  const skippedCount = translations.length - kept.length;
+  if (skippedCount > 0) {
+    const counts = Object.entries(skipped).map(([rule, count]) => `${rule}: ${count}`).join(', ');
+    console.log(`⏭️  ${labels.name} skipped ${skippedCount} values (${counts})`);
+
+    if (config.summary) {
+      for (const [rule, count] of Object.entries(skipped)) {
+        const label = `${labels.prefix}${rule}`;
+        config.summary.keySkips[label] = (config.summary.keySkips[label] || 0) + count;
+      }
+    }
+  }
+
+  return kept;
+}
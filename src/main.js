@@ -10,16 +10,47 @@ import inquirer from 'inquirer';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { validateConfig } from './utils.js';
+import { validateConfig, matchesGlob, buildProtectedPatterns } from './utils.js';
 import { createConfig } from './translator.js';
+import { clearSourceCache } from './sourceCache.js';
+import { validateProviderConfig } from './providers/index.js';
+import {
+  loadTranslationMemory,
+  saveTranslationMemory,
+  resolveMemoryPath,
+  runMemoryCommand
+} from './translationMemory.js';
+import { loadGlossaries, runGlossaryCommand } from './glossary.js';
+import { createQaOptions, resolveQaReportPath, writeQaReports, countIssues } from './qa.js';
+import { resolveKeyRules, parseKeyRuleList, validateKeyRules } from './keyFilter.js';
+import {
+  loadProjectConfig,
+  validateProjectConfig,
+  validateTranslationOptions,
+  translationOptionsFromEnv,
+  resolveFileSettings,
+  resolveProjectConfigPath
+} from './projectConfig.js';
+import { parseArgs, hasFlags, applyEnvOverrides, UsageError, HELP_TEXT, EXIT_CODES } from './cli.js';
 import { translateYamlFile } from './yamlHandler.js';
 import { translateJsonFile } from './jsonHandler.js';
 import { translateTxtFile } from './txtHandler.js';
 import { translateSnbtFile } from './snbtHandler.js';
 import { translatePropertiesFile } from './propertiesHandler.js';
 import { translateIniFile } from './iniHandler.js';
-import { translateXmlFile } from './xmlHandler.js';
+import { translateXmlFile, isAndroidValuesPath, androidOutputPath } from './xmlHandler.js';
 import { translateTomlFile } from './tomlHandler.js';
+import { translatePoFile, poOutputPath } from './poHandler.js';
+import { translateXliffFile } from './xliffHandler.js';
+import { translateCsvFile, SPREADSHEET_EXTENSIONS } from './csvHandler.js';
+import {
+  buildXliff,
+  loadXliffTranslations,
+  findXliffTranslations,
+  validateXliffConfig,
+  XLIFF_EXTENSIONS,
+  DEFAULT_XLIFF_VERSION
+} from './xliff.js';
 
 // ES module __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -28,14 +59,44 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
+// Maximum number of individual issues listed per summary section
+const MAX_LISTED_ISSUES = 10;
+
 // Supported file extensions
-const SUPPORTED_EXTENSIONS = ['.yaml', '.yml', '.json', '.txt', '.snbt', '.properties', '.ini', '.xml', '.toml'];
+const SUPPORTED_EXTENSIONS = ['.yaml', '.yml', '.json', '.txt', '.snbt', '.properties', '.ini', '.xml', '.toml', '.po', '.pot', ...XLIFF_EXTENSIONS, ...SPREADSHEET_EXTENSIONS];
 
 /**
  * Main application function
  */
 async function main() {
   try {
+    // Parse command-line flags
+    let options;
+    try {
+      options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+      if (error instanceof UsageError) {
+        console.error(`❌ ${error.message}\n`);
+        console.error(HELP_TEXT);
+        process.exit(EXIT_CODES.USAGE);
+      }
+      throw error;
+    }
+
+    if (options.help) {
+      console.log(HELP_TEXT);
+      process.exit(EXIT_CODES.SUCCESS);
+    }
+
+    const nonInteractive = hasFlags(options);
+    const env = applyEnvOverrides(process.env, options);
+
+    // Run a maintenance command instead of a translation
+    if (options.command) {
+      await runCommand(options, env);
+      process.exit(EXIT_CODES.SUCCESS);
+    }
+
     // Display banner
     console.log('\n╔═══════════════════════════════════════════════════╗');
     console.log('║   DeepL Translation Bot                           ║');
@@ -43,25 +104,45 @@ async function main() {
     console.log('║   YAML • JSON • TXT • SNBT • XML • TOML • INI     ║');
     console.log('╚═══════════════════════════════════════════════════╝\n');
 
+    // XLIFF export and import never call the translation provider
+    const xliffExport = env.XLIFF_EXPORT === 'true';
+    const xliffImportPath = env.XLIFF_IMPORT ? path.resolve(env.XLIFF_IMPORT) : null;
+
     // Validate configuration
-    const configValidation = validateConfig(process.env);
-    if (!configValidation.valid) {
+    const configErrors = [
+      ...validateConfig(env).errors,
+      ...(xliffExport || xliffImportPath ? [] : validateProviderConfig(env)),
+      ...validateXliffConfig(env),
+      ...validateTranslationOptions(translationOptionsFromEnv(env)).map(error => `DEEPL_* options: ${error}`),
+      ...validateKeyRules(parseKeyRuleList(env.KEY_FILTER)).map(error => `KEY_FILTER: ${error}`)
+    ];
+
+    // Load translator.config.json (project-wide settings and per-file overrides)
+    let projectConfig = {};
+    try {
+      projectConfig = await loadProjectConfig(env);
+      configErrors.push(...validateProjectConfig(projectConfig).map(error => `${path.basename(resolveProjectConfigPath(env))}: ${error}`));
+    } catch (error) {
+      configErrors.push(error.message);
+    }
+
+    if (configErrors.length > 0) {
       console.error('❌ Configuration Error:');
-      configValidation.errors.forEach(error => console.error(`   - ${error}`));
+      configErrors.forEach(error => console.error(`   - ${error}`));
       console.error('\n💡 Please check your .env file and ensure all required variables are set.');
-      console.error('   You can use .env.example as a template.\n');
-      process.exit(1);
+      console.error('   You can use .env.example as a template, or pass --help to see the available flags.\n');
+      process.exit(EXIT_CODES.CONFIG);
     }
 
     // Get input/output directories from environment
-    const inputDir = path.resolve(process.env.INPUT_DIR);
-    const outputDir = path.resolve(process.env.OUTPUT_DIR);
+    const inputDir = path.resolve(env.INPUT_DIR);
+    const outputDir = path.resolve(env.OUTPUT_DIR);
 
     // Ensure input directory exists
     if (!await fs.pathExists(inputDir)) {
       console.error(`❌ Input directory not found: ${inputDir}`);
       console.error('💡 Please create the directory and add files to translate.\n');
-      process.exit(1);
+      process.exit(EXIT_CODES.CONFIG);
     }
 
     // Scan for translatable files
@@ -71,95 +152,476 @@ async function main() {
     if (files.length === 0) {
       console.log('⚠️  No translatable files found.');
       console.log(`💡 Supported formats: ${SUPPORTED_EXTENSIONS.join(', ')}\n`);
-      process.exit(0);
+      process.exit(nonInteractive ? EXIT_CODES.NO_FILES : EXIT_CODES.SUCCESS);
     }
 
     console.log(`✅ Found ${files.length} translatable file(s)\n`);
 
-    // Let user select a file
-    const { selectedFile } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'selectedFile',
-        message: 'Select a file to translate:',
-        choices: files.map(file => ({
-          name: `${file.name} (${file.ext})`,
-          value: file
-        })),
-        pageSize: 15
-      }
-    ]);
-
-    // Confirm translation
-    const { confirm } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'confirm',
-        message: `Translate "${selectedFile.name}" from ${process.env.SOURCE_LANG} to ${process.env.TARGET_LANG}?`,
-        default: true
+    // Pick files from flags, or let the user select one
+    let selectedFiles;
+    if (options.all) {
+      selectedFiles = files;
+    } else if (options.files.length > 0) {
+      selectedFiles = files.filter(file =>
+        options.files.some(pattern => matchesGlob(toPosixPath(file.relativePath), pattern))
+      );
+
+      if (selectedFiles.length === 0) {
+        console.error(`❌ No files match: ${options.files.join(', ')}\n`);
+        process.exit(EXIT_CODES.NO_FILES);
       }
-    ]);
+    } else {
+      ensureInteractive('select a file (pass --file <glob> or --all)');
 
-    if (!confirm) {
-      console.log('\n❌ Translation cancelled.\n');
-      process.exit(0);
+      const { selectedFile } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'selectedFile',
+          message: 'Select a file to translate:',
+          choices: files.map(file => ({
+            name: `${file.name} (${file.ext})`,
+            value: file
+          })),
+          pageSize: 15
+        }
+      ]);
+      selectedFiles = [selectedFile];
     }
 
     // Create translator configuration
-    const translatorConfig = createConfig(process.env);
-
-    // Determine output path
-    const inputPath = selectedFile.path;
-    const relativePath = path.relative(inputDir, inputPath);
-    const outputPath = path.join(outputDir, relativePath);
-
-    // Translate based on file type
-    const startTime = Date.now();
-
-    switch (selectedFile.ext) {
-      case '.yaml':
-      case '.yml':
-        await translateYamlFile(inputPath, outputPath, translatorConfig);
-        break;
-      case '.json':
-        await translateJsonFile(inputPath, outputPath, translatorConfig);
-        break;
-      case '.txt':
-        await translateTxtFile(inputPath, outputPath, translatorConfig);
-        break;
-      case '.snbt':
-        await translateSnbtFile(inputPath, outputPath, translatorConfig);
-        break;
-      case '.properties':
-        await translatePropertiesFile(inputPath, outputPath, translatorConfig);
-        break;
-      case '.ini':
-        await translateIniFile(inputPath, outputPath, translatorConfig);
-        break;
-      case '.xml':
-        await translateXmlFile(inputPath, outputPath, translatorConfig);
-        break;
-      case '.toml':
-        await translateTomlFile(inputPath, outputPath, translatorConfig);
-        break;
-      default:
-        console.error(`❌ Unsupported file type: ${selectedFile.ext}`);
-        process.exit(1);
-    }
-
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`\n⏱️  Total time: ${duration}s`);
-    console.log(`📁 Output saved to: ${outputPath}\n`);
+    const translatorConfig = createConfig(env);
+    const { targetLangs, dryRun } = translatorConfig;
+
+    // Confirm translation (a dry run or an export spends nothing, so it needs no confirmation)
+    if (!options.yes && !dryRun && !xliffExport) {
+      ensureInteractive('confirm the translation (pass --yes)');
+
+      const subject = selectedFiles.length === 1
+        ? `"${selectedFiles[0].name}"`
+        : `${selectedFiles.length} files`;
+
+      const { confirm } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: `Translate ${subject} from ${translatorConfig.sourceLang} to ${targetLangs.join(', ')}?`,
+          default: true
+        }
+      ]);
+
+      if (!confirm) {
+        console.log('\n❌ Translation cancelled.\n');
+        process.exit(EXIT_CODES.SUCCESS);
+      }
+    }
+
+    // Translate each selected file into every target language.
+    // With more than one language, each one gets its own output tree (translated/<lang>/...)
+    const multiLanguage = targetLangs.length > 1;
+
+    let xliffTranslations = null;
+    if (xliffExport) {
+      console.log(`📤 XLIFF export (version ${env.XLIFF_VERSION || DEFAULT_XLIFF_VERSION}): nothing will be translated`);
+    } else if (xliffImportPath) {
+      xliffTranslations = await loadXliffTranslations(xliffImportPath);
+      console.log(`📥 XLIFF import: ${xliffTranslations.size} file(s) with translations (${xliffImportPath})`);
+    } else {
+      console.log(`🔌 Translation provider: ${translatorConfig.provider.name}`);
+    }
+    if (dryRun) {
+      console.log('🔎 Dry run: nothing will be translated or written');
+    }
+
+    if (translatorConfig.useMemory) {
+      const memoryPath = resolveMemoryPath(env);
+      const entryCount = await loadTranslationMemory(memoryPath);
+      console.log(`🧠 Translation memory: ${entryCount} entries (${memoryPath})`);
+    }
+
+    const glossaries = xliffExport ? new Map() : await loadGlossaries(env, translatorConfig.sourceLang, targetLangs);
+    for (const [targetLang, glossary] of glossaries) {
+      const usage = glossary.id ? 'sent to DeepL and checked locally' : 'checked locally';
+      console.log(`📚 Glossary ${glossary.pair}: ${glossary.entries.length} terms (${usage}) for ${targetLang}`);
+    }
+    console.log('');
+
+    const summaries = new Map(targetLangs.map(lang => [lang, createSummary()]));
+
+    for (const file of selectedFiles) {
+      for (const targetLang of targetLangs) {
+        const summary = summaries.get(targetLang);
+        const relativePath = toPosixPath(file.relativePath);
+        const settings = resolveFileSettings(projectConfig, relativePath, targetLang);
+        const langConfig = {
+          ...translatorConfig,
+          // An export collects what a dry run would send
+          dryRun: dryRun || xliffExport,
+          targetLang,
+          settings,
+          translationOptions: { ...translatorConfig.translationOptions, ...settings.translation },
+          placeholderPatterns: buildProtectedPatterns(settings.placeholders),
+          keyRules: resolveKeyRules(settings, env),
+          qa: dryRun || xliffExport ? null : createQaOptions(settings),
+          summary,
+          glossary: glossaries.get(targetLang) || null,
+          fileName: file.relativePath,
+          xliffUnits: xliffExport ? [] : null,
+          xliffImport: xliffTranslations ? findXliffTranslations(xliffTranslations, relativePath, targetLang) : null
+        };
+        const outputPath = resolveOutputPath(file, targetLang, outputDir, multiLanguage, xliffExport);
+
+        const startTime = Date.now();
+        try {
+          if (xliffTranslations && !langConfig.xliffImport) {
+            throw new Error(`no XLIFF file holds its ${targetLang} translations`);
+          }
+
+          const result = await translateFile(file, outputPath, langConfig);
+          summary.files++;
+          summary.values += result.total;
+          summary.failedValues += result.failed;
+          if (xliffExport) {
+            await exportXliff(relativePath, `${outputPath}.xlf`, langConfig, env.XLIFF_VERSION);
+          } else if (dryRun) {
+            console.log(`🔎 ${result.total} values: ${result.estimate.strings} strings would be sent (${result.estimate.characters} characters)`);
+          } else {
+            console.log(`📁 Output saved to: ${outputPath}`);
+          }
+        } catch (error) {
+          console.error(`\n❌ Failed to translate ${file.relativePath} to ${targetLang}: ${error.message}`);
+          summary.failedFiles.push(file.relativePath);
+        }
+        summary.duration += Date.now() - startTime;
+      }
+
+      // The parsed source is only shared between languages of the same file
+      clearSourceCache();
+    }
+
+    if (!dryRun && !xliffExport) {
+      await saveTranslationMemory();
+    }
+
+    // Print one summary per target language
+    if (xliffExport) {
+      console.log('\n📊 XLIFF Export Summary');
+    } else {
+      console.log(dryRun ? '\n📊 Dry Run Summary' : '\n📊 Summary');
+    }
+    for (const [targetLang, summary] of summaries) {
+      printSummary(targetLang, summary, selectedFiles.length, dryRun || xliffExport);
+    }
+
+    if (dryRun) {
+      const totalCharacters = [...summaries.values()].reduce((sum, summary) => sum + summary.sentCharacters, 0);
+      console.log(`\n💰 Billable characters for ${targetLangs.length} language(s): ${totalCharacters}`);
+      await checkQuota(translatorConfig.provider, totalCharacters);
+    }
+
+    // QA reports for the whole run
+    const qaIssues = [...summaries.values()].flatMap(summary => summary.qaIssues);
+    const qaReportPath = resolveQaReportPath(env);
+    if (!dryRun && !xliffExport && qaReportPath) {
+      const reportPaths = await writeQaReports(qaReportPath, qaIssues);
+      console.log(`\n🔍 QA report: ${reportPaths.join(', ')}`);
+    }
+
+    const schedulerStats = translatorConfig.scheduler.getStats();
+    if (schedulerStats.rateLimited > 0) {
+      console.log(`\n🚦 Rate limited ${schedulerStats.rateLimited} time(s); final rate ${schedulerStats.rate.toFixed(2)} requests/s`);
+    }
+    console.log('');
+
+    const results = [...summaries.values()];
+    const failedFiles = results.reduce((sum, summary) => sum + summary.failedFiles.length, 0);
+    const failedValues = results.reduce((sum, summary) => sum + summary.failedValues, 0);
+
+    if (failedFiles === selectedFiles.length * targetLangs.length) {
+      process.exit(EXIT_CODES.ERROR);
+    }
+    // The QA gate comes before partial failures, so CI checking for it is not masked by a failed value
+    if (env.QA_FAIL_ON_ERRORS === 'true' && countIssues(qaIssues).errors > 0) {
+      console.error('❌ QA errors found (--fail-on-qa-errors)\n');
+      process.exit(EXIT_CODES.QA_FAILED);
+    }
+    if (failedFiles > 0 || failedValues > 0) {
+      process.exit(EXIT_CODES.PARTIAL);
+    }
+
+    process.exit(EXIT_CODES.SUCCESS);
 
   } catch (error) {
+    // Keep whatever was translated before the failure
+    await saveTranslationMemory().catch(() => {});
+
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}\n`);
+      console.error('💡 Run with --help to see the available commands and flags.\n');
+      process.exit(EXIT_CODES.USAGE);
+    }
+
     console.error('\n❌ An error occurred:', error.message);
     if (error.stack) {
       console.error('\nStack trace:', error.stack);
     }
-    process.exit(1);
+    process.exit(EXIT_CODES.ERROR);
+  }
+}
+
+/**
+ * Runs a maintenance command given on the command line
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} env - Environment variables with overrides applied
+ * @returns {Promise<void>}
+ */
+async function runCommand(options, env) {
+  switch (options.command) {
+    case 'memory':
+      return runMemoryCommand(options.commandArgs, options, env);
+    case 'glossary':
+      return runGlossaryCommand(options.commandArgs, options, env);
+    default:
+      throw new UsageError(`Unknown command: ${options.command}`);
+  }
+}
+
+/**
+ * Translates a single file with the handler for its type
+ * @param {Object} file - File object from scanForTranslatableFiles
+ * @param {string} outputPath - Path to write the translated file
+ * @param {Object} config - Translator configuration
+ * @returns {Promise<Object>} - { total, failed } value counts
+ */
+async function translateFile(file, outputPath, config) {
+  switch (file.ext) {
+    case '.yaml':
+    case '.yml':
+      return translateYamlFile(file.path, outputPath, config);
+    case '.json':
+      return translateJsonFile(file.path, outputPath, config);
+    case '.txt':
+      return translateTxtFile(file.path, outputPath, config);
+    case '.snbt':
+      return translateSnbtFile(file.path, outputPath, config);
+    case '.properties':
+      return translatePropertiesFile(file.path, outputPath, config);
+    case '.ini':
+      return translateIniFile(file.path, outputPath, config);
+    case '.xml':
+      return translateXmlFile(file.path, outputPath, config);
+    case '.toml':
+      return translateTomlFile(file.path, outputPath, config);
+    case '.po':
+    case '.pot':
+      return translatePoFile(file.path, outputPath, config);
+    case '.xlf':
+    case '.xliff':
+      return translateXliffFile(file.path, outputPath, config);
+    case '.csv':
+    case '.tsv':
+      return translateCsvFile(file.path, outputPath, config);
+    default:
+      throw new Error(`Unsupported file type: ${file.ext}`);
+  }
+}
+
+/**
+ * Writes the XLIFF file of an exported source file and target language
+ * @param {string} relativePath - Source file path relative to the input directory (with "/")
+ * @param {string} xliffPath - Path of the XLIFF file
+ * @param {Object} config - Configuration the file was exported with (targetLang, xliffUnits)
+ * @param {string} version - XLIFF version (defaults to DEFAULT_XLIFF_VERSION)
+ * @returns {Promise<void>}
+ */
+async function exportXliff(relativePath, xliffPath, config, version = DEFAULT_XLIFF_VERSION) {
+  if (config.xliffUnits.length === 0) {
+    console.log('⚠️  Nothing to export');
+    return;
+  }
+
+  const xliff = buildXliff({
+    original: relativePath,
+    sourceLang: config.sourceLang,
+    targetLang: config.targetLang,
+    units: config.xliffUnits
+  }, version);
+
+  await fs.ensureDir(path.dirname(xliffPath));
+  await fs.writeFile(xliffPath, xliff, 'utf-8');
+  console.log(`📤 ${config.xliffUnits.length} units exported to: ${xliffPath}`);
+}
+
+/**
+ * Resolves where a translated file is written
+ * Android resource files go to the values-<lang> directory matching their source; other files are
+ * mirrored into the output directory, with one subdirectory per language when there are several.
+ * Spreadsheets (.csv, .tsv) hold every language in one file, so they only get per-language
+ * subdirectories for XLIFF exports. Gettext templates (.pot) are written as .po files
+ * @param {Object} file - File object from scanForTranslatableFiles
+ * @param {string} targetLang - Target language code
+ * @param {string} outputDir - Output directory
+ * @param {boolean} multiLanguage - Whether the run has more than one target language
+ * @param {boolean} xliffExport - Whether the run exports XLIFF files
+ * @returns {string} - Output path
+ */
+function resolveOutputPath(file, targetLang, outputDir, multiLanguage, xliffExport) {
+  const relativePath = toPosixPath(file.relativePath);
+
+  if (file.ext === '.xml' && isAndroidValuesPath(relativePath)) {
+    return path.join(outputDir, androidOutputPath(relativePath, targetLang));
+  }
+  const sharedSpreadsheet = SPREADSHEET_EXTENSIONS.includes(file.ext) && !xliffExport;
+  const outputPath = multiLanguage && !sharedSpreadsheet
+    ? path.join(outputDir, targetLang.toLowerCase(), file.relativePath)
+    : path.join(outputDir, file.relativePath);
+  return file.ext === '.pot' ? poOutputPath(outputPath) : outputPath;
+}
+
+/**
+ * Creates an empty per-language run summary
+ * @returns {Object} - Summary counters
+ */
+function createSummary() {
+  return {
+    files: 0,
+    values: 0,
+    failedValues: 0,
+    failedFiles: [],
+    cacheHits: 0,
+    cachedCharacters: 0,
+    sentStrings: 0,
+    sentCharacters: 0,
+    glossaryMisses: [],
+    placeholderIssues: [],
+    qaIssues: [],
+    keySkips: {},
+    duration: 0
+  };
+}
+
+/**
+ * Prints the run summary for one target language
+ * @param {string} targetLang - Target language code
+ * @param {Object} summary - Summary from createSummary
+ * @param {number} totalFiles - Number of files selected for translation
+ * @param {boolean} dryRun - Whether the counts are estimates from a dry run
+ */
+function printSummary(targetLang, summary, totalFiles, dryRun) {
+  const duration = (summary.duration / 1000).toFixed(2);
+
+  console.log(`\n🌐 ${targetLang}`);
+  console.log(`   📄 Files ${dryRun ? 'checked' : 'translated'}: ${summary.files}/${totalFiles}`);
+  console.log(`   📝 Values processed: ${summary.values}`);
+  if (dryRun) {
+    console.log(`   📤 Strings to send: ${summary.sentStrings}`);
+    console.log(`   🔤 Billable characters: ${summary.sentCharacters}`);
+  } else {
+    console.log(`   📤 Characters sent: ${summary.sentCharacters}`);
+    console.log(`   ⏱️  Time: ${duration}s`);
+  }
+
+  const keySkips = Object.entries(summary.keySkips);
+  if (keySkips.length > 0) {
+    const skipped = keySkips.reduce((sum, [, count]) => sum + count, 0);
+    console.log(`   ⏭️  Skipped by key rules: ${skipped}`);
+    keySkips.forEach(([rule, count]) => console.log(`      - ${rule}: ${count}`));
+  }
+  if (summary.cacheHits > 0) {
+    const verb = dryRun ? 'Would reuse' : 'Reused';
+    console.log(`   🧠 ${verb} from translation memory: ${summary.cacheHits} (${summary.cachedCharacters} characters saved)`);
+  }
+  if (summary.failedValues > 0) {
+    console.log(`   ⚠️  Values kept untranslated due to errors: ${summary.failedValues}`);
+  }
+  if (summary.failedFiles.length > 0) {
+    console.log(`   ❌ Failed files: ${summary.failedFiles.join(', ')}`);
+  }
+  if (summary.placeholderIssues.length > 0) {
+    console.log(`   🧩 Kept untranslated because placeholders were changed: ${summary.placeholderIssues.length}`);
+    summary.placeholderIssues.slice(0, MAX_LISTED_ISSUES).forEach(issue => {
+      console.log(`      - ${issue.file}: "${issue.text}"`);
+    });
+    if (summary.placeholderIssues.length > MAX_LISTED_ISSUES) {
+      console.log(`      … and ${summary.placeholderIssues.length - MAX_LISTED_ISSUES} more`);
+    }
+  }
+  if (summary.qaIssues.length > 0) {
+    const { errors, warnings } = countIssues(summary.qaIssues);
+    console.log(`   🔍 QA: ${errors} error(s), ${warnings} warning(s)`);
+    const listed = summary.qaIssues.filter(issue => issue.severity === 'error');
+    listed.slice(0, MAX_LISTED_ISSUES).forEach(issue => {
+      console.log(`      - ${issue.file}: ${issue.message} in "${issue.target}"`);
+    });
+    if (listed.length > MAX_LISTED_ISSUES) {
+      console.log(`      … and ${listed.length - MAX_LISTED_ISSUES} more errors`);
+    }
+  }
+  if (summary.glossaryMisses.length > 0) {
+    console.log(`   📚 Glossary terms not translated as expected: ${summary.glossaryMisses.length}`);
+    summary.glossaryMisses.slice(0, MAX_LISTED_ISSUES).forEach(miss => {
+      console.log(`      - ${miss.file}: "${miss.term}" should be "${miss.expected}" in "${miss.translation}"`);
+    });
+    if (summary.glossaryMisses.length > MAX_LISTED_ISSUES) {
+      console.log(`      … and ${summary.glossaryMisses.length - MAX_LISTED_ISSUES} more`);
+    }
   }
 }
 
+/**
+ * Compares the characters a dry run would send with the provider's remaining quota
+ * @param {Object} provider - Translation provider
+ * @param {number} characters - Billable characters of the run
+ * @returns {Promise<void>}
+ */
+async function checkQuota(provider, characters) {
+  if (!provider.getUsage) {
+    console.log(`ℹ️  The ${provider.name} provider does not report usage; quota not checked`);
+    return;
+  }
+
+  let usage;
+  try {
+    usage = await provider.getUsage();
+  } catch (error) {
+    console.warn(`⚠️  Could not read ${provider.name} usage: ${error.message}`);
+    return;
+  }
+
+  if (!usage.characterLimit) {
+    console.log(`📈 Usage this period: ${usage.characterCount} characters (no limit reported)`);
+    return;
+  }
+
+  const remaining = Math.max(0, usage.characterLimit - usage.characterCount);
+  console.log(`📈 Usage this period: ${usage.characterCount}/${usage.characterLimit} characters (${remaining} remaining)`);
+
+  if (characters > remaining) {
+    console.warn(`⚠️  This run needs ${characters} characters, ${characters - remaining} more than the remaining quota`);
+  } else {
+    console.log(`✅ The run fits in the remaining quota (${remaining - characters} characters left afterwards)`);
+  }
+}
+
+/**
+ * Exits with a usage error when a prompt is needed but no terminal is attached
+ * @param {string} action - Description of what the prompt was for
+ */
+function ensureInteractive(action) {
+  if (!process.stdin.isTTY) {
+    console.error(`❌ Cannot ${action}: no interactive terminal available.\n`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+}
+
+/**
+ * Converts a platform path to '/' separators for glob matching
+ * @param {string} filePath - Relative file path
+ * @returns {string} - Path with '/' separators
+ */
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
 /**
  * Scans directory for translatable files
  * @param {string} dir - Directory to scan
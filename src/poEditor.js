@@ -0,0 +1,201 @@
+/**
+ * Format-preserving gettext PO editing
+ * Parses PO/POT files into entries with the source ranges of their flags and msgstr lines,
+ * so translations can be filled in while comments, references and layout stay as they are
+ */
+
+// Escape sequences of PO strings
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', a: '\u0007', b: '\b', f: '\f', v: '\v' };
+const ESCAPED = { '\n': '\\n', '\t': '\\t', '\r': '\\r', '"': '\\"', '\\': '\\\\' };
+
+// Longest line written by msgmerge and friends
+const MAX_LINE_LENGTH = 79;
+
+const KEYWORD_LINE = /^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+(".*)$/;
+const STRING_LINE = /^"((?:[^"\\]|\\.)*)"\s*$/;
+
+/**
+ * Parses a PO or POT file
+ * @param {string} content - File content
+ * @returns {Array<Object>} - Entries: { msgctxt, msgid, msgidPlural, msgstr: [...], flags, flagsLine,
+ *   insertAt, msgstrStart, msgstrEnd, obsolete }, where flagsLine ({ start, end, next }) is the "#," line
+ *   (next being the start of the following line),
+ *   insertAt is where a missing "#," line goes and msgstrStart/msgstrEnd delimit the msgstr lines
+ */
+export function parsePo(content) {
+  const entries = [];
+  const linePattern = /([^\r\n]*)(\r\n|\r|\n|$)/g;
+  let entry = null;
+  let field = null;
+
+  const finish = () => {
+    if (entry && entry.msgid !== null) {
+      entries.push(entry);
+    }
+    entry = null;
+    field = null;
+  };
+  const current = (start) => {
+    if (!entry) {
+      entry = {
+        msgctxt: null, msgid: null, msgidPlural: null, msgstr: [], flags: [], flagsLine: null,
+        insertAt: null, msgstrStart: null, msgstrEnd: null, obsolete: false, start
+      };
+    }
+    return entry;
+  };
+
+  for (let match; (match = linePattern.exec(content)) && match[0] !== '';) {
+    const line = match[1].trim();
+    const start = match.index;
+    const end = start + match[1].length;
+
+    if (line === '') {
+      finish();
+      continue;
+    }
+
+    if (line.startsWith('#')) {
+      // A comment after the keyword lines starts the next entry
+      if (entry && entry.msgid !== null) {
+        finish();
+      }
+      const target = current(start);
+      if (line.startsWith('#~')) {
+        target.obsolete = true;
+      } else if (line.startsWith('#,')) {
+        target.flags = line.slice(2).split(',').map(flag => flag.trim()).filter(Boolean);
+        target.flagsLine = { start, end, next: start + match[0].length };
+      } else if (line.startsWith('#|') && target.insertAt === null) {
+        // A new "#," line goes before the previous-msgid lines
+        target.insertAt = start;
+      }
+      continue;
+    }
+
+    const keyword = line.match(KEYWORD_LINE);
+    if (keyword) {
+      const name = keyword[1].startsWith('msgstr') ? 'msgstr' : keyword[1];
+      if (entry && ((name === 'msgctxt' || name === 'msgid') && entry.msgid !== null)) {
+        finish();
+      }
+      const target = current(start);
+      if (target.insertAt === null) {
+        target.insertAt = start;
+      }
+
+      const value = parseString(keyword[3], line);
+      if (name === 'msgstr') {
+        const index = keyword[2] === undefined ? 0 : Number(keyword[2]);
+        target.msgstr[index] = value;
+        field = { name, index };
+        if (target.msgstrStart === null) {
+          target.msgstrStart = start;
+        }
+        target.msgstrEnd = end;
+      } else {
+        const key = name === 'msgid_plural' ? 'msgidPlural' : name;
+        target[key] = value;
+        field = { name: key };
+      }
+      continue;
+    }
+
+    if (line.startsWith('"') && entry && field) {
+      // Continuation of the previous keyword's string
+      const value = parseString(line, line);
+      if (field.name === 'msgstr') {
+        entry.msgstr[field.index] += value;
+        entry.msgstrEnd = end;
+      } else {
+        entry[field.name] += value;
+      }
+      continue;
+    }
+
+    throw new Error(`Invalid PO line: ${line}`);
+  }
+
+  finish();
+  return entries;
+}
+
+/**
+ * Parses a quoted PO string
+ * @param {string} text - Quoted string
+ * @param {string} line - Whole line, for the error message
+ * @returns {string} - Unescaped value
+ */
+function parseString(text, line) {
+  const match = text.trim().match(STRING_LINE);
+  if (!match) {
+    throw new Error(`Invalid PO string: ${line}`);
+  }
+  return match[1].replace(/\\([0-7]{1,3}|[\s\S])/g, (escape, char) => {
+    if (/^[0-7]+$/.test(char)) {
+      return String.fromCharCode(parseInt(char, 8));
+    }
+    return ESCAPES[char] !== undefined ? ESCAPES[char] : char;
+  });
+}
+
+/**
+ * Escapes a value for a PO string
+ * @param {string} value - Value
+ * @returns {string} - Escaped value (without quotes)
+ */
+function escapeString(value) {
+  return value.replace(/[\n\t\r"\\]/g, char => ESCAPED[char]);
+}
+
+/**
+ * Formats a keyword and its value the way gettext tools write them: on one line when it fits,
+ * otherwise as an empty first string followed by lines broken after each "\n" and at spaces
+ * @param {string} keyword - Keyword (e.g. "msgstr", "msgstr[1]")
+ * @param {string} value - Value
+ * @returns {Array<string>} - Lines
+ */
+export function formatPoField(keyword, value) {
+  const single = `${keyword} "${escapeString(value)}"`;
+  if (single.length <= MAX_LINE_LENGTH && !/\n[\s\S]/.test(value)) {
+    return [single];
+  }
+
+  const lines = [];
+  for (const chunk of value.split(/(?<=\n)/)) {
+    let line = '';
+    // Words keep their trailing space, so joining them restores the chunk
+    for (const word of chunk.split(/(?<= )/)) {
+      const escaped = escapeString(word);
+      if (line !== '' && line.length + escaped.length > MAX_LINE_LENGTH - 2) {
+        lines.push(line);
+        line = '';
+      }
+      line += escaped;
+    }
+    lines.push(line);
+  }
+
+  return [`${keyword} ""`, ...lines.map(line => `"${line}"`)];
+}
+
+/**
+ * Reads the fields of a PO header ("Name: value" lines)
+ * @param {string} header - msgstr of the header entry
+ * @returns {Array<Array<string>>} - [name, value] pairs in order
+ */
+export function parseHeader(header) {
+  return header.split('\n').filter(line => line.trim() !== '').map(line => {
+    const separator = line.indexOf(':');
+    return separator === -1 ? [line, null] : [line.slice(0, separator).trim(), line.slice(separator + 1).trim()];
+  });
+}
+
+/**
+ * Writes PO header fields
+ * @param {Array<Array<string>>} fields - [name, value] pairs
+ * @returns {string} - Header text
+ */
+export function formatHeader(fields) {
+  return fields.map(([name, value]) => (value === null ? `${name}\n` : `${name}: ${value}\n`)).join('');
+}
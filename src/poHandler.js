@@ -0,0 +1,401 @@
+/**
+ * Gettext PO/POT file handler
+ * Fills empty msgstr entries from their msgid, with plural forms for the target language,
+ * leaving comments, references, existing translations and layout as they are
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { translateBatch, estimateBatch } from './translator.js';
+import { loadSource } from './sourceCache.js';
+import { replaceRanges } from './utils.js';
+import { filterByKeyPath, joinKeyPath } from './keyFilter.js';
+import { parsePo, formatPoField, parseHeader, formatHeader } from './poEditor.js';
+import cliProgress from 'cli-progress';
+
+// Default PO settings (overridable with "po" in translator.config.json)
+const DEFAULT_PO_OPTIONS = {
+  markFuzzy: true   // Flag machine translations "#, fuzzy" so they are reviewed before use
+};
+
+// Plural-Forms of common languages, by gettext language code
+const PLURAL_FORMS = {
+  'nplurals=1; plural=0;': ['ja', 'ko', 'zh', 'id', 'ms', 'th', 'vi'],
+  'nplurals=2; plural=(n != 1);': ['en', 'de', 'nl', 'sv', 'da', 'nb', 'no', 'fi', 'et', 'el', 'hu', 'it', 'es', 'pt', 'bg', 'tr', 'he', 'ca', 'eu', 'gl', 'af'],
+  'nplurals=2; plural=(n > 1);': ['fr', 'pt_BR'],
+  'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);': ['ru', 'uk', 'be', 'sr', 'hr', 'bs'],
+  'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);': ['pl'],
+  'nplurals=3; plural=((n==1) ? 0 : (n>=2 && n<=4) ? 1 : 2);': ['cs', 'sk'],
+  'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && (n%100<10 || n%100>=20) ? 1 : 2);': ['lt'],
+  'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n != 0 ? 1 : 2);': ['lv'],
+  'nplurals=3; plural=(n==1 ? 0 : (n==0 || (n%100 > 0 && n%100 < 20)) ? 1 : 2);': ['ro'],
+  'nplurals=4; plural=(n%100==1 ? 0 : n%100==2 ? 1 : n%100==3 || n%100==4 ? 2 : 3);': ['sl'],
+  'nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5);': ['ar']
+};
+
+// Gettext codes of target languages whose region or script is written differently
+const GETTEXT_LANGUAGES = { 'ZH-HANS': 'zh_CN', 'ZH-HANT': 'zh_TW' };
+
+/**
+ * Translates a PO or POT file
+ * @param {string} inputPath - Path to input PO/POT file
+ * @param {string} outputPath - Path to output PO file
+ * @param {Object} config - Translator configuration
+ * @returns {Promise<Object>} - { total, failed } value counts
+ */
+export async function translatePoFile(inputPath, outputPath, config) {
+  console.log(`\n📄 Processing PO file: ${path.basename(inputPath)} (${config.sourceLang} → ${config.targetLang})`);
+
+  const options = { ...DEFAULT_PO_OPTIONS, ...(config.settings && config.settings.po) };
+
+  // Read and parse PO file (parsed once per run, reused for every language)
+  const { content: fileContent, data: entries } = await loadSource(inputPath, parsePo);
+  const newline = fileContent.includes('\r\n') ? '\r\n' : '\n';
+
+  // The header gets the target language and its plural forms
+  const header = entries.find(entry => entry.msgid === '' && entry.msgctxt === null);
+  const pluralForms = resolvePluralForms(header, config.targetLang);
+  const headerEdits = header ? updateHeader(header, config.targetLang, pluralForms, newline) : [];
+
+  // Collect the entries to fill (minus those skipped by the key rules)
+  const collected = collectTranslatableEntries(entries, pluralForms);
+  const translations = filterByKeyPath(collected, config);
+
+  // Dry run: count what would be sent, without calling the API or writing output
+  if (config.dryRun) {
+    const keyPaths = translations.flatMap(sourcePaths);
+    const estimate = estimateBatch(translations.flatMap(item => item.sources), { ...config, keyPaths });
+    return { total: translations.length, failed: 0, estimate };
+  }
+
+  await fs.ensureDir(path.dirname(outputPath));
+
+  if (translations.length === 0) {
+    console.log('⚠️  No untranslated entries found');
+    await fs.writeFile(outputPath, replaceRanges(fileContent, headerEdits), 'utf-8');
+    return { total: 0, failed: 0 };
+  }
+
+  console.log(`📝 Found ${translations.length} entries to translate`);
+
+  // Create progress bar
+  const progressBar = new cliProgress.SingleBar({
+    format: 'Translation Progress |{bar}| {percentage}% | {value}/{total} strings',
+    barCompleteChar: '\u2588',
+    barIncompleteChar: '\u2591',
+    hideCursor: true
+  });
+
+  // Entries are translated per msgctxt, which is sent as context, so the same msgid can be
+  // translated differently in different contexts
+  const groups = new Map();
+  for (const item of translations) {
+    const context = item.entry.msgctxt || '';
+    if (!groups.has(context)) {
+      groups.set(context, []);
+    }
+    groups.get(context).push(item);
+  }
+
+  const total = translations.reduce((sum, item) => sum + item.sources.length, 0);
+  progressBar.start(total, 0);
+
+  let completedBefore = 0;
+  let failed = 0;
+  for (const [context, items] of groups) {
+    const texts = items.flatMap(item => item.sources);
+    const owners = items.flatMap(item => item.sources.map((source, index) => [item, index]));
+
+    const groupConfig = { ...contextConfig(config, context), keyPaths: items.flatMap(sourcePaths) };
+    const { errors } = await translateBatch(texts, groupConfig, async (completed, batchTotal, updates) => {
+      for (const [index, translated] of updates) {
+        const [item, sourceIndex] = owners[index];
+        item.translated[sourceIndex] = translated;
+      }
+
+      // Fill the entries whose strings are all translated and write current state to file
+      const edits = translations.filter(isComplete).flatMap(item => entryEdits(item, options, newline));
+      await fs.writeFile(outputPath, replaceRanges(fileContent, [...headerEdits, ...edits]), 'utf-8');
+
+      progressBar.update(completedBefore + completed);
+    });
+
+    failed += new Set(errors.map(({ index }) => owners[index][0])).size;
+    completedBefore += texts.length;
+  }
+
+  progressBar.stop();
+
+  if (failed > 0) {
+    console.error(`❌ ${failed} entries could not be translated and were left empty`);
+  }
+
+  console.log(`✅ Translation complete: ${path.basename(outputPath)}`);
+
+  return { total: translations.length, failed };
+}
+
+/**
+ * Validates PO settings from the project configuration
+ * @param {Object} options - { markFuzzy }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validatePoOptions(options) {
+  const errors = [];
+  const { markFuzzy, ...unknown } = options;
+
+  for (const key of Object.keys(unknown)) {
+    errors.push(`unknown option "${key}" (expected markFuzzy)`);
+  }
+  if (markFuzzy !== undefined && typeof markFuzzy !== 'boolean') {
+    errors.push('markFuzzy must be true or false');
+  }
+
+  return errors;
+}
+
+/**
+ * Returns the output path of a translated PO/POT file: templates (.pot) become .po files
+ * @param {string} outputPath - Mirrored output path
+ * @returns {string} - Output path
+ */
+export function poOutputPath(outputPath) {
+  return outputPath.replace(/\.pot$/i, '.po');
+}
+
+/**
+ * Selects the entries to fill: entries without a translation, and fuzzy entries
+ * Entries whose forms are all translated and not fuzzy are left alone
+ * @param {Array<Object>} entries - Parsed entries
+ * @param {Object} pluralForms - { nplurals, plural } of the target language
+ * @returns {Array<Object>} - [{ entry, sources, forms, translated, path }] where forms maps each
+ *   msgstr index to the index of its source text (or null to keep the existing translation)
+ */
+function collectTranslatableEntries(entries, pluralForms) {
+  const items = [];
+
+  for (const entry of entries) {
+    if (entry.obsolete || entry.msgid.trim() === '') {
+      continue;
+    }
+
+    const fuzzy = entry.flags.includes('fuzzy');
+    const count = entry.msgidPlural === null ? 1 : pluralForms.nplurals;
+    const kept = index => !fuzzy && entry.msgstr[index] !== undefined && entry.msgstr[index] !== '';
+    const indexes = [...Array(count).keys()];
+    if (indexes.every(kept)) {
+      continue;
+    }
+
+    // Each plural form is translated from the singular or the plural msgid, whichever its numbers need
+    const sources = [];
+    const forms = indexes.map(index => {
+      if (kept(index)) {
+        return null;
+      }
+      const text = entry.msgidPlural === null || usesSingular(pluralForms, index) ? entry.msgid : entry.msgidPlural;
+      if (!sources.includes(text)) {
+        sources.push(text);
+      }
+      return sources.indexOf(text);
+    });
+
+    const segments = entry.msgctxt === null ? [entry.msgid] : [entry.msgctxt, entry.msgid];
+    items.push({ entry, sources, forms, translated: sources.map(() => undefined), path: joinKeyPath(segments) });
+  }
+
+  return items;
+}
+
+/**
+ * Checks whether every source text of an entry has been translated
+ * @param {Object} item - Item from collectTranslatableEntries
+ * @returns {boolean} - True if the entry can be filled
+ */
+function isComplete(item) {
+  return item.translated.every(value => value !== undefined);
+}
+
+/**
+ * Returns the key paths of an entry's source texts, which identify them in XLIFF exchange files:
+ * the entry's key path for msgid, with ".plural" appended for msgid_plural
+ * @param {Object} item - Item from collectTranslatableEntries
+ * @returns {Array<string>} - Key paths, in the order of item.sources
+ */
+function sourcePaths(item) {
+  return item.sources.map(source => (source === item.entry.msgid ? item.path : joinKeyPath([item.path, 'plural'])));
+}
+
+/**
+ * Builds the edits filling one entry: its msgstr lines and its flags
+ * @param {Object} item - Item from collectTranslatableEntries, with every source translated
+ * @param {Object} options - PO options ({ markFuzzy })
+ * @param {string} newline - Line break of the file
+ * @returns {Array<Object>} - Edits for replaceRanges
+ */
+function entryEdits(item, options, newline) {
+  const { entry, forms, translated } = item;
+  const value = index => (forms[index] === null ? entry.msgstr[index] : translated[forms[index]]);
+
+  const lines = entry.msgidPlural === null
+    ? formatPoField('msgstr', value(0))
+    : forms.flatMap((form, index) => formatPoField(`msgstr[${index}]`, value(index)));
+  const edits = [{ start: entry.msgstrStart, end: entry.msgstrEnd, source: lines.join(newline) }];
+
+  // Machine translations are marked fuzzy (or no longer fuzzy) as configured
+  const flags = entry.flags.filter(flag => flag !== 'fuzzy');
+  if (options.markFuzzy) {
+    flags.unshift('fuzzy');
+  }
+  edits.push(...flagsEdits(entry, flags, newline));
+
+  return edits;
+}
+
+/**
+ * Derives the configuration for one msgctxt group, which is sent as context with its texts
+ * @param {Object} config - Translator configuration
+ * @param {string} context - msgctxt ('' for none)
+ * @returns {Object} - Configuration for the group
+ */
+function contextConfig(config, context) {
+  if (context === '') {
+    return config;
+  }
+  const fileContext = config.translationOptions && config.translationOptions.context;
+  return {
+    ...config,
+    translationOptions: { ...config.translationOptions, context: fileContext ? `${fileContext}\n${context}` : context }
+  };
+}
+
+/**
+ * Resolves the plural forms of the target language
+ * A header that already names the target language keeps its own Plural-Forms
+ * @param {Object|undefined} header - Header entry
+ * @param {string} targetLang - Target language code
+ * @returns {Object} - { header: Plural-Forms value, nplurals, plural: (n) => form index }
+ */
+function resolvePluralForms(header, targetLang) {
+  const language = gettextLanguage(targetLang);
+  const fields = header ? parseHeader(header.msgstr[0] || '') : [];
+  const field = name => (fields.find(([key]) => key.toLowerCase() === name.toLowerCase()) || [])[1];
+
+  if (field('Language') === language) {
+    const existing = parsePluralForms(field('Plural-Forms') || '');
+    if (existing) {
+      return existing;
+    }
+  }
+
+  const base = language.split('_')[0];
+  const known = Object.keys(PLURAL_FORMS).find(forms => PLURAL_FORMS[forms].includes(language)) ||
+    Object.keys(PLURAL_FORMS).find(forms => PLURAL_FORMS[forms].includes(base));
+  if (!known) {
+    console.warn(`⚠️  No plural forms known for ${targetLang}, using "nplurals=2; plural=(n != 1);"`);
+  }
+  return parsePluralForms(known || 'nplurals=2; plural=(n != 1);');
+}
+
+/**
+ * Parses a Plural-Forms header value
+ * @param {string} value - e.g. "nplurals=2; plural=(n != 1);"
+ * @returns {Object|null} - { header, nplurals, plural }, or null if the value is not valid
+ */
+function parsePluralForms(value) {
+  const match = value.match(/nplurals\s*=\s*(\d+)\s*;\s*plural\s*=\s*([^;]+);?/);
+  // Only arithmetic on n is evaluated
+  if (!match || Number(match[1]) < 1 || !/^[\sn\d()!=<>&|?:%+\-*/]+$/.test(match[2])) {
+    return null;
+  }
+
+  try {
+    const plural = new Function('n', `return Number(${match[2]});`);
+    plural(1);
+    return { header: `nplurals=${match[1]}; plural=${match[2].trim()};`, nplurals: Number(match[1]), plural };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks whether a plural form should be translated from the singular msgid: the form used for 1
+ * (in French this form also covers 0, in Russian 21, 31, ...)
+ * @param {Object} pluralForms - { nplurals, plural }
+ * @param {number} index - msgstr index
+ * @returns {boolean} - True if the form is used for the number 1
+ */
+function usesSingular(pluralForms, index) {
+  return pluralForms.plural(1) === index;
+}
+
+/**
+ * Converts a target language code to a gettext language code
+ * @param {string} targetLang - Target language code (e.g. "DE", "PT-BR")
+ * @returns {string} - Gettext code (e.g. "de", "pt_BR")
+ */
+function gettextLanguage(targetLang) {
+  const code = targetLang.toUpperCase();
+  if (GETTEXT_LANGUAGES[code]) {
+    return GETTEXT_LANGUAGES[code];
+  }
+  const [language, region] = code.split('-');
+  return region ? `${language.toLowerCase()}_${region}` : language.toLowerCase();
+}
+
+/**
+ * Builds the edits updating the header for the target language: Language, Plural-Forms and a
+ * UTF-8 charset, and no fuzzy flag (as msginit does)
+ * @param {Object} header - Header entry
+ * @param {string} targetLang - Target language code
+ * @param {Object} pluralForms - Resolved plural forms
+ * @param {string} newline - Line break of the file
+ * @returns {Array<Object>} - Edits for replaceRanges
+ */
+function updateHeader(header, targetLang, pluralForms, newline) {
+  const original = header.msgstr[0] || '';
+  const fields = parseHeader(original);
+  const set = (name, value) => {
+    const field = fields.find(([key]) => key.toLowerCase() === name.toLowerCase());
+    if (field) {
+      field[1] = value;
+    } else {
+      fields.push([name, value]);
+    }
+  };
+
+  set('Language', gettextLanguage(targetLang));
+  set('Plural-Forms', pluralForms.header);
+  const contentType = fields.find(([key]) => key.toLowerCase() === 'content-type');
+  if (contentType && /charset=CHARSET/i.test(contentType[1] || '')) {
+    contentType[1] = contentType[1].replace(/charset=CHARSET/i, 'charset=UTF-8');
+  }
+
+  const edits = [];
+  const updated = formatHeader(fields);
+  if (updated !== original) {
+    edits.push({ start: header.msgstrStart, end: header.msgstrEnd, source: formatPoField('msgstr', updated).join(newline) });
+  }
+
+  edits.push(...flagsEdits(header, header.flags.filter(flag => flag !== 'fuzzy'), newline));
+  return edits;
+}
+
+/**
+ * Builds the edits setting the flags of an entry: its "#," line is rewritten, added or removed
+ * @param {Object} entry - Parsed entry
+ * @param {Array<string>} flags - New flags
+ * @param {string} newline - Line break of the file
+ * @returns {Array<Object>} - Edits for replaceRanges (none if the flags are unchanged)
+ */
+function flagsEdits(entry, flags, newline) {
+  if (flags.join() === entry.flags.join()) {
+    return [];
+  }
+  if (!entry.flagsLine) {
+    return [{ start: entry.insertAt, end: entry.insertAt, source: `#, ${flags.join(', ')}${newline}` }];
+  }
+  return flags.length > 0
+    ? [{ start: entry.flagsLine.start, end: entry.flagsLine.end, source: `#, ${flags.join(', ')}` }]
+    : [{ start: entry.flagsLine.start, end: entry.flagsLine.next, source: '' }];
+}
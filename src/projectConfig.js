@@ -0,0 +1,212 @@
+/**
+ * Project configuration
+ * Loads translator.config.json, which holds project-wide settings and
+ * per-file / per-directory overrides matched by glob
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { matchesGlob, parseLanguageList, validatePlaceholderOptions } from './utils.js';
+import { validateQaOptions } from './qa.js';
+import { validateKeyRules } from './keyFilter.js';
+import { validateXmlOptions } from './xmlHandler.js';
+import { validatePropertiesOptions } from './propertiesHandler.js';
+import { validateIniOptions } from './iniHandler.js';
+import { validateSnbtOptions } from './snbtHandler.js';
+import { validatePoOptions } from './poHandler.js';
+import { validateCsvOptions } from './csvHandler.js';
+
+// Default project configuration file (relative to the working directory)
+export const DEFAULT_PROJECT_CONFIG = 'translator.config.json';
+
+// Allowed values for translation options (undefined = any value of the right type)
+const TRANSLATION_OPTIONS = {
+  formality: ['default', 'more', 'less', 'prefer_more', 'prefer_less'],
+  context: undefined,
+  splitSentences: ['0', '1', 'nonewlines'],
+  preserveFormatting: [true, false],
+  modelType: ['quality_optimized', 'prefer_quality_optimized', 'latency_optimized']
+};
+
+// Options that also accept numbers, which are turned into strings ("splitSentences": 0 → "0")
+const NUMERIC_STRING_OPTIONS = ['splitSentences'];
+
+// Environment variables providing global defaults for translation options
+const TRANSLATION_OPTION_ENV = {
+  formality: 'DEEPL_FORMALITY',
+  context: 'DEEPL_CONTEXT',
+  splitSentences: 'DEEPL_SPLIT_SENTENCES',
+  preserveFormatting: 'DEEPL_PRESERVE_FORMATTING',
+  modelType: 'DEEPL_MODEL_TYPE'
+};
+
+/**
+ * Resolves the project configuration path
+ * @param {Object} env - Environment variables
+ * @returns {string} - Absolute path
+ */
+export function resolveProjectConfigPath(env) {
+  return path.resolve(env.PROJECT_CONFIG || DEFAULT_PROJECT_CONFIG);
+}
+
+/**
+ * Loads the project configuration (an empty configuration if the file does not exist)
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Parsed configuration
+ */
+export async function loadProjectConfig(env) {
+  const configPath = resolveProjectConfigPath(env);
+
+  if (!await fs.pathExists(configPath)) {
+    if (env.PROJECT_CONFIG) {
+      throw new Error(`Project configuration not found: ${configPath}`);
+    }
+    return {};
+  }
+
+  try {
+    return await fs.readJson(configPath);
+  } catch (error) {
+    throw new Error(`Invalid project configuration ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Validates the project configuration
+ * @param {Object} projectConfig - Parsed configuration
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validateProjectConfig(projectConfig) {
+  const errors = [];
+  const sections = [['', projectConfig]];
+
+  if (projectConfig.overrides !== undefined && !Array.isArray(projectConfig.overrides)) {
+    errors.push('overrides must be an array');
+  }
+
+  (projectConfig.overrides || []).forEach((override, index) => {
+    if (override.files === undefined && override.languages === undefined) {
+      errors.push(`overrides[${index}] needs "files" and/or "languages"`);
+    }
+    sections.push([`overrides[${index}].`, override]);
+  });
+
+  for (const [prefix, section] of sections) {
+    errors.push(...validateTranslationOptions(section.translation || {}).map(error => `${prefix}translation: ${error}`));
+    errors.push(...validatePlaceholderOptions(section.placeholders || {}).map(error => `${prefix}placeholders: ${error}`));
+    errors.push(...validateQaOptions(section.qa || {}).map(error => `${prefix}qa: ${error}`));
+    errors.push(...validateXmlOptions(section.xml || {}).map(error => `${prefix}xml: ${error}`));
+    errors.push(...validatePropertiesOptions(section.properties || {}).map(error => `${prefix}properties: ${error}`));
+    errors.push(...validateIniOptions(section.ini || {}).map(error => `${prefix}ini: ${error}`));
+    errors.push(...validateSnbtOptions(section.snbt || {}).map(error => `${prefix}snbt: ${error}`));
+    errors.push(...validatePoOptions(section.po || {}).map(error => `${prefix}po: ${error}`));
+    errors.push(...validateCsvOptions(section.csv || {}).map(error => `${prefix}csv: ${error}`));
+    if (section.keys !== undefined) {
+      errors.push(...validateKeyRules(section.keys).map(error => `${prefix}keys: ${error}`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates translation option values
+ * @param {Object} options - Translation options
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validateTranslationOptions(options) {
+  const errors = [];
+
+  for (const [key, value] of Object.entries(normalizeTranslationOptions(options))) {
+    if (!(key in TRANSLATION_OPTIONS)) {
+      errors.push(`unknown option "${key}" (expected ${Object.keys(TRANSLATION_OPTIONS).join(', ')})`);
+    } else if (TRANSLATION_OPTIONS[key] && !TRANSLATION_OPTIONS[key].includes(value)) {
+      errors.push(`${key} must be one of ${TRANSLATION_OPTIONS[key].map(v => JSON.stringify(v)).join(', ')}`);
+    } else if (!TRANSLATION_OPTIONS[key] && typeof value !== 'string') {
+      errors.push(`${key} must be a string`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Turns numeric values of options that take strings into strings
+ * @param {Object} options - Translation options
+ * @returns {Object} - Normalized copy
+ */
+export function normalizeTranslationOptions(options) {
+  const normalized = { ...options };
+
+  for (const key of NUMERIC_STRING_OPTIONS) {
+    if (typeof normalized[key] === 'number') {
+      normalized[key] = String(normalized[key]);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Reads global translation options from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Translation options
+ */
+export function translationOptionsFromEnv(env) {
+  const options = {};
+
+  for (const [key, variable] of Object.entries(TRANSLATION_OPTION_ENV)) {
+    const value = env[variable];
+    if (value === undefined || value === '') {
+      continue;
+    }
+    options[key] = key === 'preserveFormatting' ? value === 'true' || value === '1' : value;
+  }
+
+  return options;
+}
+
+/**
+ * Resolves the settings for one file and target language
+ * Top-level settings apply to every file; each matching override is merged on top, in order
+ * @param {Object} projectConfig - Parsed configuration
+ * @param {string} relativePath - File path relative to the input directory ('/' separators)
+ * @param {string} targetLang - Target language code
+ * @returns {Object} - Merged settings (without "overrides")
+ */
+export function resolveFileSettings(projectConfig, relativePath, targetLang) {
+  const { overrides = [], ...settings } = projectConfig;
+  let resolved = settings;
+
+  for (const { files, languages, ...overrideSettings } of overrides) {
+    const patterns = files === undefined ? null : [].concat(files);
+    const fileMatches = !patterns || patterns.some(pattern => matchesGlob(relativePath, pattern));
+    const languageMatches = languages === undefined ||
+      parseLanguageList([].concat(languages).join(',')).includes(targetLang);
+
+    if (fileMatches && languageMatches) {
+      resolved = mergeSettings(resolved, overrideSettings);
+    }
+  }
+
+  return resolved.translation ? { ...resolved, translation: normalizeTranslationOptions(resolved.translation) } : resolved;
+}
+
+/**
+ * Deep-merges plain objects; arrays and other values are replaced
+ * @param {Object} base - Base settings
+ * @param {Object} extra - Settings taking precedence
+ * @returns {Object} - Merged copy
+ */
+function mergeSettings(base, extra) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(extra)) {
+    const isObject = typeof value === 'object' && value !== null && !Array.isArray(value);
+    merged[key] = isObject && typeof merged[key] === 'object' && !Array.isArray(merged[key])
+      ? mergeSettings(merged[key] || {}, value)
+      : value;
+  }
+
+  return merged;
+}
@@ -1,58 +1,74 @@
 /**
  * Properties file handler
- * Translates .properties files while preserving keys and comments
+ * Translates .properties files with java.util.Properties semantics, rewriting only the
+ * translated values so keys, comments, separators, alignment and line layout are preserved
  */
 
 import fs from 'fs-extra';
 import path from 'path';
-import { translateText } from './translator.js';
+import { translateBatch, estimateBatch } from './translator.js';
+import { loadSource } from './sourceCache.js';
+import { replaceRanges } from './utils.js';
+import { filterByKeyPath } from './keyFilter.js';
 import cliProgress from 'cli-progress';
 
+// Supported file encodings, mapped to their Node.js names
+const ENCODINGS = {
+  'utf-8': 'utf-8',
+  'iso-8859-1': 'latin1'
+};
+
+// Default properties settings (overridable with "properties" in translator.config.json)
+const DEFAULT_PROPERTIES_OPTIONS = {
+  encoding: 'utf-8'   // iso-8859-1: characters outside Latin-1 are written as \uXXXX
+};
+
+// Escapes written for special characters in values
+const VALUE_ESCAPES = { '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r', '\f': '\\f' };
+const UNESCAPES = { t: '\t', n: '\n', r: '\r', f: '\f' };
+
+// Whitespace between key, separator and value
+const WHITESPACE = /[ \t\f]/;
+
 /**
  * Translates a .properties file
  * @param {string} inputPath - Path to input .properties file
  * @param {string} outputPath - Path to output .properties file
  * @param {Object} config - Translator configuration
+ * @returns {Promise<Object>} - { total, failed } value counts
  */
 export async function translatePropertiesFile(inputPath, outputPath, config) {
-  console.log(`\n📄 Processing Properties file: ${path.basename(inputPath)}`);
+  console.log(`\n📄 Processing Properties file: ${path.basename(inputPath)} (${config.sourceLang} → ${config.targetLang})`);
 
-  // Read file content
-  const fileContent = await fs.readFile(inputPath, 'utf-8');
-  const lines = fileContent.split(/\r?\n/);
+  const options = { ...DEFAULT_PROPERTIES_OPTIONS, ...(config.settings && config.settings.properties) };
+  const encoding = ENCODINGS[options.encoding];
 
-  // Parse properties
-  const entries = [];
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-
-    // Skip empty lines and comments
-    if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith('!')) {
-      entries.push({ type: 'comment', content: line, index: i });
-      continue;
-    }
+  // Read and parse file content (parsed once per run, reused for every language)
+  const { content: fileContent, data: entries } = await loadSource(inputPath, parseProperties, encoding);
 
-    // Parse key=value
-    const match = line.match(/^([^=:]+)[=:](.*)$/);
-    if (match) {
-      const key = match[1].trim();
-      const value = match[2].trim();
-      entries.push({ type: 'property', key, value, originalLine: line, index: i });
-    } else {
-      // Invalid line, keep as-is
-      entries.push({ type: 'comment', content: line, index: i });
-    }
-  }
+  // Files keeping non-ASCII characters as \uXXXX escapes (native2ascii style) get their translations escaped the same way
+  const asciiOnly = /\\u[0-9a-fA-F]{4}/.test(fileContent) && !/[^\x00-\x7f]/.test(fileContent);
+
+  // Filter translatable entries (minus those skipped by the key rules)
+  const collected = entries
+    .filter(entry => entry.value.trim().length > 0)
+    .map(entry => ({ ...entry, path: entry.key }));
+  const translatableEntries = filterByKeyPath(collected, config);
 
-  // Filter translatable entries
-  const translatableEntries = entries.filter(e => e.type === 'property' && e.value.length > 0);
+  // Key paths identify the values in XLIFF exchange files
+  const propertiesConfig = { ...config, keyPaths: translatableEntries.map(entry => entry.path) };
+
+  // Dry run: count what would be sent, without calling the API or writing output
+  if (config.dryRun) {
+    const estimate = estimateBatch(translatableEntries.map(entry => entry.value), propertiesConfig);
+    return { total: translatableEntries.length, failed: 0, estimate };
+  }
 
   if (translatableEntries.length === 0) {
     console.log('⚠️  No translatable content found');
     await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, fileContent, 'utf-8');
-    return;
+    await fs.writeFile(outputPath, fileContent, encoding);
+    return { total: 0, failed: 0 };
   }
 
   console.log(`📝 Found ${translatableEntries.length} properties to translate`);
@@ -70,33 +86,284 @@ export async function translatePropertiesFile(inputPath, outputPath, config) {
 
   progressBar.start(translatableEntries.length, 0);
 
-  // Translate each property and write incrementally
-  for (let i = 0; i < translatableEntries.length; i++) {
-    const entry = translatableEntries[i];
-    try {
-      const translated = await translateText(entry.value, config);
-      entry.value = translated;
-
-      // Rebuild file content
-      const output = entries.map(e => {
-        if (e.type === 'comment') {
-          return e.content;
-        } else {
-          return `${e.key}=${e.value}`;
-        }
-      }).join('\n');
-
-      // Write current state to file
-      await fs.writeFile(outputPath, output, 'utf-8');
-
-      progressBar.update(i + 1);
-    } catch (error) {
-      console.error(`\n❌ Error translating "${entry.key}": ${error.message}`);
-      progressBar.update(i + 1);
+  // Translate all properties in batches and write incrementally
+  const values = translatableEntries.map(entry => entry.value);
+  const { errors } = await translateBatch(values, propertiesConfig, async (completed, total, updates) => {
+    for (const [index, translated] of updates) {
+      const entry = translatableEntries[index];
+      // Unchanged values keep their exact source (escapes, continuation lines)
+      if (translated !== entry.value) {
+        entry.source = layoutValue(escapeValue(translated, options.encoding, asciiOnly), entry);
+      }
     }
-  }
+
+    // Rewrite the translated values and write current state to file
+    const output = replaceRanges(fileContent, translatableEntries.filter(entry => entry.source !== undefined)
+      .map(entry => ({ start: entry.valueStart, end: entry.valueEnd, source: entry.source })));
+    await fs.writeFile(outputPath, output, encoding);
+
+    progressBar.update(completed);
+  });
 
   progressBar.stop();
 
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} properties could not be translated and were kept as-is`);
+  }
+
   console.log(`✅ Translation complete: ${path.basename(outputPath)}`);
+
+  return { total: translatableEntries.length, failed: errors.length };
+}
+
+/**
+ * Validates properties settings from the project configuration
+ * @param {Object} options - { encoding }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validatePropertiesOptions(options) {
+  const errors = [];
+  const { encoding, ...unknown } = options;
+
+  for (const key of Object.keys(unknown)) {
+    errors.push(`unknown option "${key}" (expected encoding)`);
+  }
+  if (encoding !== undefined && !ENCODINGS[encoding]) {
+    errors.push(`encoding must be one of ${Object.keys(ENCODINGS).join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parses properties the way java.util.Properties.load does
+ * Comment (# or !) and blank lines are skipped, a line ending in an odd number of backslashes
+ * continues on the next line (whose leading whitespace is ignored), and the key ends at the first
+ * unescaped "=", ":" or whitespace
+ * @param {string} content - File content
+ * @returns {Array<Object>} - [{ key, value, valueStart, valueEnd, breaks }] where valueStart/valueEnd
+ *   delimit the raw value in the content and breaks describes its continuation lines
+ */
+export function parseProperties(content) {
+  const entries = [];
+  let pos = 0;
+
+  while (pos < content.length) {
+    // Logical line: its characters and their positions in the content, without continuations
+    let chars = '';
+    const positions = [];
+    const breaks = [];
+    let lineStart = pos;
+    let first = true;
+
+    for (;;) {
+      let start = lineStart;
+      while (start < content.length && WHITESPACE.test(content[start])) {
+        start++;
+      }
+
+      const end = findLineEnd(content, start);
+      const terminator = content.slice(end).match(/^(?:\r\n|\r|\n)?/)[0];
+      const raw = content.slice(start, end);
+
+      if (first && (raw === '' || raw[0] === '#' || raw[0] === '!')) {
+        pos = end + terminator.length;
+        break;
+      }
+      first = false;
+
+      const trailing = raw.match(/\\*$/)[0].length;
+      const continues = trailing % 2 === 1 && terminator !== '';
+      const kept = continues ? raw.length - 1 : raw.length;
+
+      for (let i = 0; i < kept; i++) {
+        chars += raw[i];
+        positions.push(start + i);
+      }
+
+      if (!continues) {
+        pos = end + terminator.length;
+        entries.push(parseLogicalLine(chars, positions, start + kept, breaks));
+        break;
+      }
+
+      lineStart = end + terminator.length;
+      const indent = content.slice(lineStart).match(/^[ \t\f]*/)[0];
+      breaks.push({ at: chars.length, terminator, indent, afterNewline: /(^|[^\\])(\\\\)*\\n$/.test(chars) });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Splits a logical line into key and value
+ * @param {string} chars - Logical line without continuations
+ * @param {Array<number>} positions - Content position of each character
+ * @param {number} end - Content position where the line's value ends
+ * @param {Array<Object>} breaks - Continuations ({ at: character index, terminator, indent, afterNewline })
+ * @returns {Object} - Parsed entry
+ */
+function parseLogicalLine(chars, positions, end, breaks) {
+  let index = 0;
+
+  while (index < chars.length && !WHITESPACE.test(chars[index]) && chars[index] !== '=' && chars[index] !== ':') {
+    index += chars[index] === '\\' ? 2 : 1;
+  }
+  const keyEnd = Math.min(index, chars.length);
+
+  // Separator: whitespace, at most one "=" or ":", whitespace
+  while (index < chars.length && WHITESPACE.test(chars[index])) {
+    index++;
+  }
+  if (chars[index] === '=' || chars[index] === ':') {
+    index++;
+  }
+  while (index < chars.length && WHITESPACE.test(chars[index])) {
+    index++;
+  }
+
+  const valueStart = index < chars.length ? positions[index] : end;
+  return {
+    key: unescapeProperty(chars.slice(0, keyEnd)),
+    value: unescapeProperty(chars.slice(index)),
+    valueStart,
+    valueEnd: end,
+    // Only continuations inside the value matter for its layout
+    breaks: breaks.filter(lineBreak => lineBreak.at > index)
+  };
+}
+
+/**
+ * Finds the end of the natural line starting at a position
+ * @param {string} content - File content
+ * @param {number} start - Position in the line
+ * @returns {number} - Position of the line terminator (or the content length)
+ */
+function findLineEnd(content, start) {
+  let end = start;
+  while (end < content.length && content[end] !== '\n' && content[end] !== '\r') {
+    end++;
+  }
+  return end;
+}
+
+/**
+ * Resolves escapes: \t \n \r \f, \uXXXX, and a backslash before any other character
+ * @param {string} text - Raw key or value
+ * @returns {string} - Unescaped text
+ */
+function unescapeProperty(text) {
+  return text.replace(/\\(u[0-9a-fA-F]{4}|[\s\S]?)/g, (match, escape) => {
+    if (escape.length === 5) {
+      return String.fromCharCode(parseInt(escape.slice(1), 16));
+    }
+    return UNESCAPES[escape] || escape;
+  });
+}
+
+/**
+ * Escapes a value for writing
+ * Backslashes, control characters and a leading space are escaped; with ISO-8859-1 every
+ * character outside Latin-1 becomes \uXXXX (surrogate pairs as two escapes), and with
+ * asciiOnly every character outside ASCII
+ * @param {string} value - Value
+ * @param {string} encoding - 'utf-8' or 'iso-8859-1'
+ * @param {boolean} asciiOnly - Whether to escape every non-ASCII character
+ * @returns {string} - Escaped value
+ */
+export function escapeValue(value, encoding, asciiOnly = false) {
+  let result = '';
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    const code = value.charCodeAt(i);
+
+    if (VALUE_ESCAPES[char]) {
+      result += VALUE_ESCAPES[char];
+    } else if (char === ' ' && i === 0) {
+      result += '\\ ';
+    } else if (code < 0x20 || code === 0x7f || (asciiOnly && code > 0x7f) || (encoding === 'iso-8859-1' && code > 0xff)) {
+      result += `\\u${code.toString(16).toUpperCase().padStart(4, '0')}`;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Lays an escaped value out over as many lines as the source value used
+ * Values whose lines ended after "\n" are broken after each "\n" again; others are broken
+ * at the spaces closest to the original proportions
+ * @param {string} escaped - Escaped value
+ * @param {Object} entry - Parsed entry ({ breaks })
+ * @returns {string} - Raw value, with continuation lines
+ */
+function layoutValue(escaped, entry) {
+  const { breaks } = entry;
+  if (breaks.length === 0) {
+    return escaped;
+  }
+
+  // Split into escape sequences and characters, so a break never lands inside an escape
+  const tokens = escaped.match(/\\u[0-9a-fA-F]{4}|\\[\s\S]|[\s\S]/g) || [];
+  const cuts = [];
+
+  if (breaks.every(lineBreak => lineBreak.afterNewline)) {
+    tokens.forEach((token, index) => {
+      if (token === '\\n' && index < tokens.length - 1) {
+        cuts.push(index + 1);
+      }
+    });
+  } else {
+    for (let part = 1; part <= breaks.length; part++) {
+      const cut = findCut(tokens, Math.round(tokens.length * part / (breaks.length + 1)));
+      if (cut > (cuts[cuts.length - 1] || 0) && cut < tokens.length) {
+        cuts.push(cut);
+      }
+    }
+  }
+
+  const lines = [];
+  let last = 0;
+  for (const cut of [...cuts, tokens.length]) {
+    lines.push(tokens.slice(last, cut).join(''));
+    last = cut;
+  }
+
+  return lines.reduce((result, line, index) => {
+    if (index === 0) {
+      return line;
+    }
+    const { terminator, indent } = breaks[Math.min(index, breaks.length) - 1];
+    return `${result}\\${terminator}${indent}${line}`;
+  }, '');
+}
+
+/**
+ * Finds where to break a line near a token index: after the closest space, or at the index
+ * itself when there is none nearby. A continuation line never starts with whitespace,
+ * since the parser would drop it
+ * @param {Array<string>} tokens - Escaped value tokens
+ * @param {number} target - Preferred token index
+ * @returns {number} - Token index the next line starts at
+ */
+function findCut(tokens, target) {
+  const range = Math.max(10, Math.round(tokens.length / 10));
+
+  for (let distance = 0; distance <= range; distance++) {
+    for (const index of [target + distance, target - distance]) {
+      if (index > 0 && index < tokens.length && tokens[index - 1] === ' ' && tokens[index] !== ' ') {
+        return index;
+      }
+    }
+  }
+
+  let index = target;
+  while (index < tokens.length && WHITESPACE.test(tokens[index])) {
+    index++;
+  }
+  return index;
 }
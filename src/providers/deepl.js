@@ -0,0 +1,236 @@
+/**
+ * DeepL translation provider
+ * Sends multi-text requests to the DeepL API
+ */
+
+import fetch from 'node-fetch';
+import { ProviderError } from './providerError.js';
+import { parseRetryAfter } from '../scheduler.js';
+
+// DeepL request parameters for each translation option
+const OPTION_PARAMS = {
+  formality: 'formality',
+  context: 'context',
+  splitSentences: 'split_sentences',
+  preserveFormatting: 'preserve_formatting',
+  modelType: 'model_type'
+};
+
+// DeepL API base URLs (Free keys end in ":fx")
+const DEEPL_FREE_API_URL = 'https://api-free.deepl.com';
+const DEEPL_PRO_API_URL = 'https://api.deepl.com';
+
+/**
+ * Checks whether an API key belongs to the DeepL Free plan
+ * @param {string} apiKey - DeepL API key
+ * @returns {boolean} - True for Free keys (ending in ":fx")
+ */
+export function isFreeApiKey(apiKey) {
+  return typeof apiKey === 'string' && apiKey.trim().endsWith(':fx');
+}
+
+/**
+ * Resolves the DeepL API base URL
+ * Uses DEEPL_API_URL when set (a proxy or mock server), otherwise picks Free or Pro from the key
+ * @param {Object} env - Environment variables
+ * @returns {string} - Base URL without trailing slash or /v2 path
+ */
+export function resolveDeepLBaseUrl(env) {
+  if (env.DEEPL_API_URL) {
+    // Accept both a base URL and a full ".../v2/translate" endpoint
+    return env.DEEPL_API_URL.trim()
+      .replace(/\/+$/, '')
+      .replace(/\/v2(\/translate)?$/, '');
+  }
+
+  return isFreeApiKey(env.DEEPL_API_KEY) ? DEEPL_FREE_API_URL : DEEPL_PRO_API_URL;
+}
+
+/**
+ * Validates DeepL settings: the key must match the plan of the official endpoint it is sent to
+ * @param {Object} env - Environment variables
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validateDeepLConfig(env) {
+  if (!env.DEEPL_API_KEY) {
+    return ['DEEPL_API_KEY is required'];
+  }
+
+  let host;
+  try {
+    host = new URL(resolveDeepLBaseUrl(env)).hostname;
+  } catch {
+    return [`DEEPL_API_URL is not a valid URL: ${env.DEEPL_API_URL}`];
+  }
+
+  const freeKey = isFreeApiKey(env.DEEPL_API_KEY);
+  if (host === new URL(DEEPL_FREE_API_URL).hostname && !freeKey) {
+    return ['DEEPL_API_KEY is a DeepL Pro key, but DEEPL_API_URL points to the Free API (api-free.deepl.com). Use https://api.deepl.com or remove DEEPL_API_URL'];
+  }
+  if (host === new URL(DEEPL_PRO_API_URL).hostname && freeKey) {
+    return ['DEEPL_API_KEY is a DeepL Free key (ends in ":fx"), but DEEPL_API_URL points to the Pro API (api.deepl.com). Use https://api-free.deepl.com or remove DEEPL_API_URL'];
+  }
+
+  return [];
+}
+
+/**
+ * Creates a DeepL provider
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Translation provider
+ */
+export function createDeepLProvider(env) {
+  const apiKey = env.DEEPL_API_KEY;
+  const baseUrl = resolveDeepLBaseUrl(env);
+
+  return {
+    name: 'deepl',
+    // DeepL accepts up to 50 texts and 128 KiB per request
+    maxBatchTexts: 50,
+    maxBatchBytes: 120 * 1024,
+
+    /**
+     * Translates texts in a single request
+     * @param {Array<string>} texts - Texts to translate
+     * @param {Object} config - Translator configuration
+     * @returns {Promise<Array<string>>} - Translated texts in the same order
+     */
+    async translate(texts, config) {
+      // Texts are XML with <x id="n"/> placeholder tags (see protectPlaceholders)
+      const body = new URLSearchParams({
+        source_lang: config.sourceLang,
+        target_lang: config.targetLang,
+        tag_handling: 'xml'
+      });
+      texts.forEach(text => body.append('text', text));
+
+      // Formality, context and other per-file options
+      for (const [option, value] of Object.entries(config.translationOptions || {})) {
+        if (OPTION_PARAMS[option] && value !== undefined) {
+          body.append(OPTION_PARAMS[option], typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+        }
+      }
+
+      // Glossaries need an explicit source language, which SOURCE_LANG always provides
+      if (config.glossary && config.glossary.id) {
+        body.append('glossary_id', config.glossary.id);
+      }
+
+      const response = await fetch(`${baseUrl}/v2/translate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Authorization': `DeepL-Auth-Key ${apiKey}`
+        },
+        body
+      });
+
+      if (!response.ok) {
+        const errorBody = await response.text();
+        throw new ProviderError(
+          `DeepL API error (${response.status}): ${errorBody}`,
+          response.status,
+          parseRetryAfter(response.headers.get('retry-after'))
+        );
+      }
+
+      const data = await response.json();
+
+      if (!data.translations || data.translations.length !== texts.length) {
+        throw new Error(`Expected ${texts.length} translations from DeepL API, got ${data.translations ? data.translations.length : 0}`);
+      }
+
+      return data.translations.map(translation => translation.text);
+    },
+
+    /**
+     * Reads the character usage of the current billing period
+     * @returns {Promise<Object>} - { characterCount, characterLimit }
+     */
+    getUsage() {
+      return getUsage(env);
+    }
+  };
+}
+
+/**
+ * Sends a request to a DeepL API endpoint other than /v2/translate
+ * @param {Object} env - Environment variables
+ * @param {string} method - HTTP method
+ * @param {string} apiPath - Path below the base URL (e.g. /v2/glossaries)
+ * @param {URLSearchParams} body - Optional form body
+ * @returns {Promise<Object|null>} - Parsed JSON response (null for empty responses)
+ */
+async function apiRequest(env, method, apiPath, body = null) {
+  const headers = { 'Authorization': `DeepL-Auth-Key ${env.DEEPL_API_KEY}` };
+  if (body) {
+    headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  }
+
+  const response = await fetch(`${resolveDeepLBaseUrl(env)}${apiPath}`, { method, headers, body });
+
+  if (!response.ok) {
+    const errorBody = await response.text();
+    throw new ProviderError(`DeepL API error (${response.status}): ${errorBody}`, response.status);
+  }
+
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Reads the character usage of the current billing period
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - { characterCount, characterLimit }
+ */
+export async function getUsage(env) {
+  const data = await apiRequest(env, 'GET', '/v2/usage');
+  return { characterCount: data.character_count, characterLimit: data.character_limit };
+}
+
+/**
+ * Converts a language code to the form DeepL glossaries use (EN-GB → en)
+ * @param {string} lang - Language code
+ * @returns {string} - Lower-case base language code
+ */
+export function toGlossaryLanguage(lang) {
+  return lang.split('-')[0].toLowerCase();
+}
+
+/**
+ * Lists all glossaries of the DeepL account
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Array<Object>>} - Glossary descriptions
+ */
+export async function listGlossaries(env) {
+  const data = await apiRequest(env, 'GET', '/v2/glossaries');
+  return data.glossaries || [];
+}
+
+/**
+ * Creates a DeepL glossary
+ * @param {Object} env - Environment variables
+ * @param {Object} glossary - { name, sourceLang, targetLang, entries: [[source, target], ...] }
+ * @returns {Promise<Object>} - Created glossary description
+ */
+export async function createGlossary(env, { name, sourceLang, targetLang, entries }) {
+  const body = new URLSearchParams({
+    name,
+    source_lang: toGlossaryLanguage(sourceLang),
+    target_lang: toGlossaryLanguage(targetLang),
+    entries: entries.map(([source, target]) => `${source}\t${target}`).join('\n'),
+    entries_format: 'tsv'
+  });
+
+  return apiRequest(env, 'POST', '/v2/glossaries', body);
+}
+
+/**
+ * Deletes a DeepL glossary
+ * @param {Object} env - Environment variables
+ * @param {string} glossaryId - Glossary ID
+ * @returns {Promise<void>}
+ */
+export async function deleteGlossary(env, glossaryId) {
+  await apiRequest(env, 'DELETE', `/v2/glossaries/${encodeURIComponent(glossaryId)}`);
+}
@@ -0,0 +1,66 @@
+/**
+ * Translation provider registry
+ * Selects the provider named by the PROVIDER environment variable
+ */
+
+import { createDeepLProvider, validateDeepLConfig } from './deepl.js';
+import { createLibreTranslateProvider } from './libreTranslate.js';
+import { createIdentityProvider, createMockProvider } from './mock.js';
+
+// Default provider when PROVIDER is not set
+export const DEFAULT_PROVIDER = 'deepl';
+
+// Provider factories by name
+const PROVIDERS = {
+  deepl: createDeepLProvider,
+  libretranslate: createLibreTranslateProvider,
+  identity: createIdentityProvider,
+  mock: createMockProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Returns the configured provider name
+ * @param {Object} env - Environment variables
+ * @returns {string} - Lower-cased provider name
+ */
+export function getProviderName(env) {
+  return (env.PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+}
+
+/**
+ * Validates the environment variables the configured provider needs
+ * @param {Object} env - Environment variables
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validateProviderConfig(env) {
+  const name = getProviderName(env);
+  const errors = [];
+
+  if (!PROVIDERS[name]) {
+    errors.push(`PROVIDER must be one of: ${PROVIDER_NAMES.join(', ')}`);
+  } else if (name === 'deepl') {
+    errors.push(...validateDeepLConfig(env));
+  } else if (name === 'libretranslate' && !env.LIBRETRANSLATE_URL) {
+    errors.push('LIBRETRANSLATE_URL is required when PROVIDER=libretranslate');
+  }
+
+  return errors;
+}
+
+/**
+ * Creates the configured translation provider
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Provider with name, batch limits, translate(texts, config) and optionally getUsage()
+ */
+export function createProvider(env) {
+  const name = getProviderName(env);
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown provider: ${name} (expected one of ${PROVIDER_NAMES.join(', ')})`);
+  }
+
+  return factory(env);
+}
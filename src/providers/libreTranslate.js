@@ -0,0 +1,76 @@
+/**
+ * LibreTranslate translation provider
+ * Works with any LibreTranslate-compatible HTTP API, such as a self-hosted instance
+ */
+
+import fetch from 'node-fetch';
+import { ProviderError } from './providerError.js';
+import { parseRetryAfter } from '../scheduler.js';
+
+/**
+ * Converts a DeepL-style language code (EN-US, PT-BR) to a LibreTranslate code (en, pt)
+ * @param {string} lang - Language code
+ * @returns {string} - LibreTranslate language code
+ */
+function toLibreLanguage(lang) {
+  return lang.split('-')[0].toLowerCase();
+}
+
+/**
+ * Creates a LibreTranslate provider
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Translation provider
+ */
+export function createLibreTranslateProvider(env) {
+  const endpoint = `${env.LIBRETRANSLATE_URL.replace(/\/+$/, '')}/translate`;
+  const apiKey = env.LIBRETRANSLATE_API_KEY;
+
+  return {
+    name: 'libretranslate',
+    maxBatchTexts: 25,
+    maxBatchBytes: 64 * 1024,
+
+    /**
+     * Translates texts in a single request
+     * @param {Array<string>} texts - Texts to translate
+     * @param {Object} config - Translator configuration
+     * @returns {Promise<Array<string>>} - Translated texts in the same order
+     */
+    async translate(texts, config) {
+      const body = {
+        q: texts,
+        source: toLibreLanguage(config.sourceLang),
+        target: toLibreLanguage(config.targetLang),
+        // HTML mode keeps the <x id="n"/> placeholder tags (see protectPlaceholders)
+        format: 'html'
+      };
+      if (apiKey) {
+        body.api_key = apiKey;
+      }
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        const errorBody = await response.text();
+        throw new ProviderError(
+          `LibreTranslate API error (${response.status}): ${errorBody}`,
+          response.status,
+          parseRetryAfter(response.headers.get('retry-after'))
+        );
+      }
+
+      const data = await response.json();
+      const translated = Array.isArray(data.translatedText) ? data.translatedText : [data.translatedText];
+
+      if (translated.length !== texts.length || translated.some(text => typeof text !== 'string')) {
+        throw new Error(`Expected ${texts.length} translations from LibreTranslate API, got ${translated.length}`);
+      }
+
+      return translated;
+    }
+  };
+}
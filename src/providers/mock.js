@@ -0,0 +1,37 @@
+/**
+ * Offline translation providers for tests and dry runs
+ * They never touch the network
+ */
+
+/**
+ * Creates the identity provider, which returns every text unchanged
+ * @returns {Object} - Translation provider
+ */
+export function createIdentityProvider() {
+  return {
+    name: 'identity',
+    maxBatchTexts: 50,
+    maxBatchBytes: 120 * 1024,
+
+    async translate(texts) {
+      return [...texts];
+    }
+  };
+}
+
+/**
+ * Creates the mock provider, which prefixes every text with the target language (e.g. "[TR] Hello")
+ * Useful to check which strings were sent for translation
+ * @returns {Object} - Translation provider
+ */
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    maxBatchTexts: 50,
+    maxBatchBytes: 120 * 1024,
+
+    async translate(texts, config) {
+      return texts.map(text => `[${config.targetLang}] ${text}`);
+    }
+  };
+}
@@ -0,0 +1,17 @@
+/**
+ * Error raised by translation providers for failed API requests
+ * Carries the HTTP status and Retry-After delay so the translator can decide whether to retry
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @param {number|null} retryAfter - Server-requested delay in ms (for 429 responses)
+   */
+  constructor(message, status, retryAfter = null) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
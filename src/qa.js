@@ -0,0 +1,293 @@
+/**
+ * Translation QA
+ * Compares every source/target pair of a run and reports broken placeholders, color codes,
+ * tags, whitespace, untranslated strings and suspicious length changes
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { PLACEHOLDER_PRESETS, buildProtectedPatterns, protectPlaceholders } from './utils.js';
+
+// Checks and the severity of their findings. Errors can fail the run with --fail-on-qa-errors
+export const QA_CHECKS = {
+  placeholders: 'error',
+  colors: 'error',
+  tags: 'error',
+  whitespace: 'warning',
+  newlines: 'warning',
+  untranslated: 'warning',
+  length: 'warning',
+  plurals: 'warning'
+};
+
+// Default QA settings (overridable with "qa" in translator.config.json)
+const DEFAULT_QA_OPTIONS = {
+  maxLengthRatio: 2.5,   // Target may be at most this many times longer than the source
+  minLength: 10,         // Sources shorter than this are not length-checked
+  ignore: []             // Checks to skip
+};
+
+// Tags that never have a closing tag
+const VOID_TAGS = new Set(['br', 'newline', 'reset', 'hr', 'img']);
+
+// Non-overlapping pattern groups: each check only looks at its own kind of code
+const PLACEHOLDER_GROUPS = ['placeholderapi', 'braces', 'printf'];
+
+/**
+ * Resolves the QA options for one file
+ * @param {Object} settings - Resolved file settings from translator.config.json
+ * @returns {Object} - QA options used by checkTranslation
+ */
+export function createQaOptions(settings = {}) {
+  const options = { ...DEFAULT_QA_OPTIONS, ...settings.qa };
+  const customPatterns = (settings.placeholders && settings.placeholders.patterns) || [];
+
+  return {
+    ...options,
+    // Custom patterns count as placeholders, whichever presets the file protects
+    placeholderPatterns: buildProtectedPatterns({ presets: PLACEHOLDER_GROUPS, patterns: customPatterns })
+  };
+}
+
+/**
+ * Validates QA settings from the project configuration
+ * @param {Object} options - { maxLengthRatio, minLength, ignore }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validateQaOptions(options) {
+  const errors = [];
+  const { maxLengthRatio, minLength, ignore, ...unknown } = options;
+
+  for (const key of Object.keys(unknown)) {
+    errors.push(`unknown option "${key}" (expected maxLengthRatio, minLength, ignore)`);
+  }
+  if (maxLengthRatio !== undefined && !(typeof maxLengthRatio === 'number' && maxLengthRatio > 0)) {
+    errors.push('maxLengthRatio must be a positive number');
+  }
+  if (minLength !== undefined && !(Number.isInteger(minLength) && minLength >= 0)) {
+    errors.push('minLength must be a non-negative integer');
+  }
+  if (ignore !== undefined) {
+    if (!Array.isArray(ignore)) {
+      errors.push('ignore must be an array');
+    } else {
+      ignore.filter(check => !QA_CHECKS[check]).forEach(check => {
+        errors.push(`unknown check "${check}" (expected ${Object.keys(QA_CHECKS).join(', ')})`);
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Compares a source string with its translation
+ * @param {string} source - Source text
+ * @param {string} target - Translated text
+ * @param {Object} options - Options from createQaOptions
+ * @returns {Array<Object>} - Issues: [{ check, severity, message }]
+ */
+export function checkTranslation(source, target, options) {
+  const issues = [];
+  const report = (check, message) => {
+    if (!options.ignore.includes(check)) {
+      issues.push({ check, severity: QA_CHECKS[check], message });
+    }
+  };
+
+  // Placeholders: the same codes must appear, in any order
+  const sourcePlaceholders = findCodes(source, options.placeholderPatterns);
+  const targetPlaceholders = findCodes(target, options.placeholderPatterns);
+  const missing = subtract(sourcePlaceholders, targetPlaceholders);
+  const extra = subtract(targetPlaceholders, sourcePlaceholders);
+  if (missing.length > 0) {
+    report('placeholders', `Missing placeholders: ${missing.join(' ')}`);
+  }
+  if (extra.length > 0) {
+    report('placeholders', `Unexpected placeholders: ${extra.join(' ')}`);
+  }
+
+  // Color codes: the same sequence, since reordering changes which words get which color
+  const sourceColors = findCodes(source, PLACEHOLDER_PRESETS.legacy);
+  const targetColors = findCodes(target, PLACEHOLDER_PRESETS.legacy);
+  if (sourceColors.join('') !== targetColors.join('')) {
+    report('colors', `Color codes changed: ${sourceColors.join('') || '(none)'} → ${targetColors.join('') || '(none)'}`);
+  }
+
+  // Tags: the translation may not close tags that were never opened or leave different tags open
+  const sourceTags = tagBalance(source);
+  const targetTags = tagBalance(target);
+  if (sourceTags !== targetTags) {
+    report('tags', `Unbalanced tags: ${targetTags || 'balanced'} (source: ${sourceTags || 'balanced'})`);
+  }
+
+  // Leading/trailing whitespace and line breaks
+  const edges = text => [text.match(/^\s*/)[0], text.match(/\s*$/)[0]];
+  const [sourceStart, sourceEnd] = edges(source);
+  const [targetStart, targetEnd] = edges(target);
+  if (sourceStart !== targetStart || sourceEnd !== targetEnd) {
+    report('whitespace', 'Leading or trailing whitespace changed');
+  }
+
+  const lineBreaks = text => `${(text.match(/\n/g) || []).length}+${(text.match(/\\n/g) || []).length}`;
+  if (lineBreaks(source) !== lineBreaks(target)) {
+    report('newlines', `Line breaks changed: ${countLineBreaks(source)} → ${countLineBreaks(target)}`);
+  }
+
+  // Untranslated: only meaningful when the source has words
+  const sourceText = visibleText(source, options);
+  if (source === target && /\p{L}{2,}/u.test(sourceText)) {
+    report('untranslated', 'Target is identical to the source');
+  }
+
+  // Suspicious length growth
+  const targetText = visibleText(target, options);
+  if (sourceText.length >= options.minLength && targetText.length > sourceText.length * options.maxLengthRatio) {
+    const ratio = (targetText.length / sourceText.length).toFixed(1);
+    report('length', `Translation is ${ratio}× longer than the source`);
+  }
+
+  return issues;
+}
+
+/**
+ * Lists the codes matched by a set of patterns, in text order
+ * @param {string} text - Text to scan
+ * @param {Array<RegExp>} patterns - Global patterns
+ * @returns {Array<string>} - Matched codes
+ */
+function findCodes(text, patterns) {
+  return protectPlaceholders(text, patterns).map.map(({ original }) => original);
+}
+
+/**
+ * Removes one occurrence of each item of b from a
+ * @param {Array<string>} a - Items
+ * @param {Array<string>} b - Items to remove
+ * @returns {Array<string>} - Remaining items of a
+ */
+function subtract(a, b) {
+  const rest = [...b];
+  return a.filter(item => {
+    const index = rest.indexOf(item);
+    if (index === -1) {
+      return true;
+    }
+    rest.splice(index, 1);
+    return false;
+  });
+}
+
+/**
+ * Describes unmatched MiniMessage/HTML tags
+ * MiniMessage allows unclosed tags, so the result is compared with the source instead of required to be empty
+ * @param {string} text - Text to scan
+ * @returns {string} - e.g. "unclosed <red>, unexpected </b>" (empty when balanced)
+ */
+function tagBalance(text) {
+  const stack = [];
+  const unexpected = [];
+
+  for (const [tag] of text.matchAll(PLACEHOLDER_PRESETS.minimessage[0])) {
+    const closing = tag.startsWith('</');
+    const name = tag.replace(/^<\/?/, '').split(/[:/>]/)[0].toLowerCase();
+
+    if (tag.endsWith('/>') || VOID_TAGS.has(name)) {
+      continue;
+    }
+    if (!closing) {
+      stack.push(name);
+    } else if (stack.lastIndexOf(name) === -1) {
+      unexpected.push(`</${name}>`);
+    } else {
+      // Closing an outer tag implicitly closes the ones opened inside it
+      stack.length = stack.lastIndexOf(name);
+    }
+  }
+
+  return [
+    ...stack.map(name => `unclosed <${name}>`),
+    ...unexpected.map(tag => `unexpected ${tag}`)
+  ].join(', ');
+}
+
+/**
+ * Counts real and escaped line breaks
+ * @param {string} text - Text to scan
+ * @returns {number} - Number of line breaks
+ */
+function countLineBreaks(text) {
+  return (text.match(/\n|\\n/g) || []).length;
+}
+
+/**
+ * Returns the text without any protected codes, for length and word checks
+ * @param {string} text - Text to strip
+ * @param {Object} options - Options from createQaOptions
+ * @returns {string} - Visible text
+ */
+function visibleText(text, options) {
+  let visible = text;
+  for (const pattern of [...options.placeholderPatterns, ...Object.values(PLACEHOLDER_PRESETS).flat()]) {
+    visible = visible.replace(pattern, '');
+  }
+  return visible.trim();
+}
+
+/**
+ * Resolves the report base path from environment variables
+ * Reports are only written when a path is given, so runs leave no files outside the output directory
+ * @param {Object} env - Environment variables
+ * @returns {string|null} - Absolute base path (".json" and ".txt" are appended), or null without reports
+ */
+export function resolveQaReportPath(env) {
+  if (!env.QA_REPORT || env.QA_REPORT === 'off') {
+    return null;
+  }
+  return path.resolve(env.QA_REPORT.replace(/\.(json|txt)$/i, ''));
+}
+
+/**
+ * Writes the machine-readable (.json) and human-readable (.txt) QA reports
+ * @param {string} basePath - Report path without extension
+ * @param {Array<Object>} issues - Issues with file, language, source and target
+ * @returns {Promise<Array<string>>} - Paths of the written files
+ */
+export async function writeQaReports(basePath, issues) {
+  const jsonPath = `${basePath}.json`;
+  const textPath = `${basePath}.txt`;
+  const totals = countIssues(issues);
+  const generatedAt = new Date().toISOString();
+
+  await fs.ensureDir(path.dirname(basePath));
+  await fs.writeJson(jsonPath, { generatedAt, totals, issues }, { spaces: 2 });
+
+  const lines = [
+    `Translation QA report (${generatedAt})`,
+    `${totals.errors} error(s), ${totals.warnings} warning(s)`
+  ];
+  let group = null;
+  for (const issue of issues) {
+    const heading = `${issue.file} (${issue.language})`;
+    if (heading !== group) {
+      group = heading;
+      lines.push('', heading);
+    }
+    lines.push(`  ${issue.severity.toUpperCase().padEnd(8)}${issue.check}: ${issue.message}`);
+    lines.push(`          source: ${JSON.stringify(issue.source)}`);
+    lines.push(`          target: ${JSON.stringify(issue.target)}`);
+  }
+  await fs.writeFile(textPath, lines.join('\n') + '\n', 'utf-8');
+
+  return [jsonPath, textPath];
+}
+
+/**
+ * Counts issues by severity
+ * @param {Array<Object>} issues - QA issues
+ * @returns {Object} - { errors, warnings }
+ */
+export function countIssues(issues) {
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  return { errors, warnings: issues.length - errors };
+}
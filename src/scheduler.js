@@ -0,0 +1,156 @@
+/**
+ * Request scheduler
+ * Limits concurrent API requests with a token bucket whose rate adapts to rate limiting:
+ * it slows down on 429 responses, honours Retry-After and speeds back up after successes
+ */
+
+import { delay } from './utils.js';
+
+// Default scheduler settings
+const DEFAULT_OPTIONS = {
+  concurrency: 4,         // Maximum requests in flight
+  maxRate: 10,            // Requests per second ceiling
+  minRate: 0.5,           // Requests per second floor
+  increaseStep: 0.25,     // Rate added after each successful request
+  decreaseFactor: 0.5,    // Rate multiplier after a 429 response
+  decreaseCooldown: 1000  // Minimum ms between two rate decreases
+};
+
+/**
+ * Creates a request scheduler
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object} - Scheduler with schedule, reportSuccess, reportRateLimit and getStats
+ */
+export function createScheduler(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  let rate = settings.maxRate;
+  let tokens = 1;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let lastDecrease = 0;
+  let active = 0;
+  let pumping = false;
+  let rateLimited = 0;
+  const queue = [];
+
+  /**
+   * Adds tokens for the time elapsed since the last refill
+   */
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(settings.concurrency, tokens + ((now - lastRefill) / 1000) * rate);
+    lastRefill = now;
+  }
+
+  /**
+   * Milliseconds until the next request may start (0 if it may start now)
+   * @returns {number} - Wait time in ms
+   */
+  function waitTime() {
+    const pause = pausedUntil - Date.now();
+    if (pause > 0) {
+      return pause;
+    }
+
+    refill();
+    return tokens >= 1 ? 0 : Math.ceil(((1 - tokens) / rate) * 1000);
+  }
+
+  /**
+   * Starts queued jobs while slots and tokens are available
+   */
+  async function pump() {
+    if (pumping) {
+      return;
+    }
+    pumping = true;
+
+    while (queue.length > 0 && active < settings.concurrency) {
+      const wait = waitTime();
+      if (wait > 0) {
+        await delay(wait);
+        continue;
+      }
+
+      tokens -= 1;
+      active++;
+
+      const job = queue.shift();
+      job.task()
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+
+    pumping = false;
+  }
+
+  return {
+    /**
+     * Runs a task once a request slot and a rate token are available
+     * @param {Function} task - Function returning a promise (one API request)
+     * @returns {Promise<*>} - Result of the task
+     */
+    schedule(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        pump();
+      });
+    },
+
+    /**
+     * Records a successful request and gradually raises the rate again
+     */
+    reportSuccess() {
+      rate = Math.min(settings.maxRate, rate + settings.increaseStep);
+    },
+
+    /**
+     * Records a rate-limited request: lowers the rate and pauses all requests
+     * @param {number} retryAfterMs - How long the server asked us to wait
+     */
+    reportRateLimit(retryAfterMs) {
+      const now = Date.now();
+      rateLimited++;
+
+      // Concurrent requests often hit the limit together; count that as one decrease
+      if (now - lastDecrease >= settings.decreaseCooldown) {
+        rate = Math.max(settings.minRate, rate * settings.decreaseFactor);
+        lastDecrease = now;
+      }
+
+      pausedUntil = Math.max(pausedUntil, now + retryAfterMs);
+      tokens = 0;
+    },
+
+    /**
+     * Returns the current scheduler state
+     * @returns {Object} - { rate, active, queued, rateLimited }
+     */
+    getStats() {
+      return { rate, active, queued: queue.length, rateLimited };
+    }
+  };
+}
+
+/**
+ * Parses a Retry-After header value
+ * @param {string|null} value - Header value (seconds or HTTP date)
+ * @returns {number|null} - Delay in milliseconds, or null if absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
@@ -0,0 +1,209 @@
+/**
+ * Format-preserving SNBT editing
+ * Tokenizes and parses Stringified NBT (Minecraft data, FTB Quests) into the source ranges of
+ * its strings, so they can be rewritten in place without touching tags, numbers or layout
+ */
+
+// Escape sequences of quoted strings (Minecraft 1.21.5+ adds more than \\ and the quotes)
+const ESCAPES = { '\\': '\\', '"': '"', "'": "'", n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', s: ' ' };
+
+// Unquoted tokens: tag names, numbers with type suffixes, booleans and plain strings
+const UNQUOTED = /^[A-Za-z0-9._+-]+/;
+const NUMBER_OR_BOOLEAN = /^(?:[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?[bslfd]?|true|false)$/i;
+
+/**
+ * Finds every string value of an SNBT document
+ * Entries may be separated by commas or only by line breaks, as FTB Quests writes them
+ * @param {string} content - SNBT source
+ * @returns {Array<Object>} - [{ path, start, end, value, quote, escapedNewlines }] in source order, where
+ *   path holds compound keys and list indices, start/end delimit the token including its quotes
+ *   and quote is '"', "'" or '' for an unquoted string
+ */
+export function findSnbtStrings(content) {
+  const scanner = { text: content, pos: 0, strings: [] };
+
+  parseValue(scanner, []);
+  if (skipWhitespace(scanner)) {
+    throw scanError(scanner, 'Unexpected content after the root value');
+  }
+
+  return scanner.strings;
+}
+
+/**
+ * Skips whitespace
+ * @param {Object} scanner - { text, pos }
+ * @returns {boolean} - True if there is more input
+ */
+function skipWhitespace(scanner) {
+  while (scanner.pos < scanner.text.length && /\s/.test(scanner.text[scanner.pos])) {
+    scanner.pos++;
+  }
+  return scanner.pos < scanner.text.length;
+}
+
+/**
+ * Creates an error pointing at the current line
+ * @param {Object} scanner - { text, pos }
+ * @param {string} message - Error message
+ * @returns {Error} - Error with the line number
+ */
+function scanError(scanner, message) {
+  const line = scanner.text.slice(0, scanner.pos).split('\n').length;
+  return new Error(`${message} at line ${line}`);
+}
+
+/**
+ * Parses a compound, list, array or scalar, recording every string it contains
+ * @param {Object} scanner - { text, pos, strings }
+ * @param {Array<string|number>} path - Path of the value
+ */
+function parseValue(scanner, path) {
+  if (!skipWhitespace(scanner)) {
+    throw scanError(scanner, 'Expected a value');
+  }
+  const { text } = scanner;
+  const start = scanner.pos;
+  const char = text[start];
+
+  if (char === '{') {
+    scanner.pos++;
+    parseEntries(scanner, '}', () => {
+      const key = parseKey(scanner);
+      skipWhitespace(scanner);
+      if (text[scanner.pos] !== ':') {
+        throw scanError(scanner, 'Expected ":"');
+      }
+      scanner.pos++;
+      parseValue(scanner, [...path, key]);
+    });
+  } else if (char === '[') {
+    scanner.pos++;
+    // Typed arrays ([B; 1b, 2b], [I; ...], [L; ...]) hold numbers only
+    const typed = text.slice(scanner.pos).match(/^\s*[BIL]\s*;/);
+    if (typed) {
+      scanner.pos += typed[0].length;
+    }
+    let index = 0;
+    parseEntries(scanner, ']', () => parseValue(scanner, [...path, index++]));
+  } else if (char === '"' || char === "'") {
+    const { value, escapedNewlines } = parseQuoted(scanner);
+    scanner.strings.push({ path, start, end: scanner.pos, value, quote: char, escapedNewlines });
+  } else {
+    const token = text.slice(start).match(UNQUOTED);
+    if (!token) {
+      throw scanError(scanner, `Unexpected "${char}"`);
+    }
+    scanner.pos += token[0].length;
+    if (!NUMBER_OR_BOOLEAN.test(token[0])) {
+      scanner.strings.push({ path, start, end: scanner.pos, value: token[0], quote: '', escapedNewlines: false });
+    }
+  }
+}
+
+/**
+ * Parses the entries of a compound or list up to its closing bracket
+ * @param {Object} scanner - { text, pos }
+ * @param {string} close - Closing bracket
+ * @param {Function} parseEntry - Parses one entry
+ */
+function parseEntries(scanner, close, parseEntry) {
+  for (;;) {
+    if (!skipWhitespace(scanner)) {
+      throw scanError(scanner, `Expected "${close}"`);
+    }
+    if (scanner.text[scanner.pos] === close) {
+      scanner.pos++;
+      return;
+    }
+    parseEntry();
+    skipWhitespace(scanner);
+    if (scanner.text[scanner.pos] === ',') {
+      scanner.pos++;
+    }
+  }
+}
+
+/**
+ * Parses a quoted or unquoted compound key
+ * @param {Object} scanner - { text, pos }
+ * @returns {string} - Key
+ */
+function parseKey(scanner) {
+  const char = scanner.text[scanner.pos];
+  if (char === '"' || char === "'") {
+    return parseQuoted(scanner).value;
+  }
+
+  const token = scanner.text.slice(scanner.pos).match(UNQUOTED);
+  if (!token) {
+    throw scanError(scanner, 'Invalid key');
+  }
+  scanner.pos += token[0].length;
+  return token[0];
+}
+
+/**
+ * Parses a quoted string starting at the current position
+ * @param {Object} scanner - { text, pos }
+ * @returns {Object} - { value, escapedNewlines: whether line breaks were written as \n }
+ */
+function parseQuoted(scanner) {
+  const { text } = scanner;
+  const quote = text[scanner.pos];
+  let value = '';
+  let escapedNewlines = false;
+
+  scanner.pos++;
+  for (;;) {
+    if (scanner.pos >= text.length) {
+      throw scanError(scanner, 'Unterminated string');
+    }
+    const char = text[scanner.pos];
+
+    if (char === quote) {
+      scanner.pos++;
+      return { value, escapedNewlines };
+    }
+
+    if (char === '\\') {
+      const next = text[scanner.pos + 1];
+      const hexLength = { x: 2, u: 4, U: 8 }[next];
+
+      if (hexLength) {
+        const hex = text.slice(scanner.pos + 2, scanner.pos + 2 + hexLength);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== hexLength) {
+          throw scanError(scanner, 'Invalid unicode escape');
+        }
+        value += String.fromCodePoint(parseInt(hex, 16));
+        scanner.pos += 2 + hexLength;
+      } else if (next in ESCAPES) {
+        value += ESCAPES[next];
+        escapedNewlines = escapedNewlines || next === 'n';
+        scanner.pos += 2;
+      } else {
+        throw scanError(scanner, `Invalid escape "\\${next}"`);
+      }
+      continue;
+    }
+
+    value += char;
+    scanner.pos++;
+  }
+}
+
+/**
+ * Writes a value as an SNBT string in the quote style of an existing one
+ * Unquoted strings are quoted, since translated text rarely fits the unquoted character set
+ * @param {string} value - New value
+ * @param {Object} original - String from findSnbtStrings ({ quote, escapedNewlines })
+ * @returns {string} - Quoted SNBT string
+ */
+export function formatSnbtString(value, original) {
+  const quote = original.quote || (value.includes('"') && !value.includes("'") ? "'" : '"');
+  let body = value.replace(/\\/g, '\\\\').split(quote).join(`\\${quote}`);
+  if (original.escapedNewlines) {
+    body = body.replace(/\n/g, '\\n');
+  }
+  return `${quote}${body}${quote}`;
+}
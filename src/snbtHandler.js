@@ -1,37 +1,63 @@
 /**
  * SNBT file handler
- * Translates Minecraft SNBT (Stringified NBT) files while preserving NBT syntax
+ * Translates the display text of Minecraft SNBT (Stringified NBT) files, rewriting only the
+ * strings under text keys so item IDs, tag names, commands and formatting stay as they are
  */
 
 import fs from 'fs-extra';
 import path from 'path';
-import { translateText } from './translator.js';
+import { translateBatch, estimateBatch } from './translator.js';
+import { loadSource } from './sourceCache.js';
+import { replaceRanges, globToRegExp } from './utils.js';
+import { filterByKeyPath, joinKeyPath } from './keyFilter.js';
+import { findSnbtStrings, formatSnbtString } from './snbtEditor.js';
+import { extractComponentStringUnits, applyComponentTranslation, componentConfig } from './textComponent.js';
 import cliProgress from 'cli-progress';
 
+// Default SNBT settings (overridable with "snbt" in translator.config.json)
+const DEFAULT_SNBT_OPTIONS = {
+  // Keys holding player-facing text, matched at the end of the key path (list indices ignored)
+  textKeys: ['title', 'subtitle', 'description', 'display.Name', 'display.Lore', 'pages', 'quest_subtitle', 'quest_desc']
+};
+
 /**
  * Translates an SNBT file
  * @param {string} inputPath - Path to input SNBT file
  * @param {string} outputPath - Path to output SNBT file
  * @param {Object} config - Translator configuration
+ * @returns {Promise<Object>} - { total, failed } value counts
  */
 export async function translateSnbtFile(inputPath, outputPath, config) {
-  console.log(`\n📄 Processing SNBT file: ${path.basename(inputPath)}`);
+  console.log(`\n📄 Processing SNBT file: ${path.basename(inputPath)} (${config.sourceLang} → ${config.targetLang})`);
+
+  const options = { ...DEFAULT_SNBT_OPTIONS, ...(config.settings && config.settings.snbt) };
+
+  // Read and parse file content (parsed once per run, reused for every language)
+  const { content: fileContent, data: strings } = await loadSource(inputPath, findSnbtStrings);
 
-  // Read file content
-  const fileContent = await fs.readFile(inputPath, 'utf-8');
+  // Collect the strings under text keys (minus those skipped by the key rules)
+  const collected = collectTranslatableStrings(strings, options.textKeys);
+  const translations = filterByKeyPath(collected, config);
 
-  // Extract all quoted strings (translatable content)
-  const translatableStrings = extractQuotedStrings(fileContent);
+  // Markers between merged text component segments are protected like formatting codes,
+  // and key paths identify the values in XLIFF exchange files
+  const snbtConfig = { ...componentConfig(config), keyPaths: translations.map(item => item.path) };
+
+  // Dry run: count what would be sent, without calling the API or writing output
+  if (config.dryRun) {
+    const estimate = estimateBatch(translations.map(item => item.value), snbtConfig);
+    return { total: translations.length, failed: 0, estimate };
+  }
 
-  if (translatableStrings.length === 0) {
+  if (translations.length === 0) {
     console.log('⚠️  No translatable content found');
     // Still create output file with original content
     await fs.ensureDir(path.dirname(outputPath));
     await fs.writeFile(outputPath, fileContent, 'utf-8');
-    return;
+    return { total: 0, failed: 0 };
   }
 
-  console.log(`📝 Found ${translatableStrings.length} strings to translate`);
+  console.log(`📝 Found ${translations.length} strings to translate`);
 
   // Ensure output directory exists
   await fs.ensureDir(path.dirname(outputPath));
@@ -44,83 +70,85 @@ export async function translateSnbtFile(inputPath, outputPath, config) {
     hideCursor: true
   });
 
-  progressBar.start(translatableStrings.length, 0);
-
-  // Translate each string and write incrementally
-  const translations = new Map();
-  let translatedContent = fileContent;
-  
-  for (let i = 0; i < translatableStrings.length; i++) {
-    const originalString = translatableStrings[i];
-    
-    // Skip if already translated (for duplicate strings)
-    if (translations.has(originalString)) {
-      progressBar.update(i + 1);
-      continue;
-    }
+  progressBar.start(translations.length, 0);
 
-    try {
-      // Extract the content without quotes
-      const contentWithoutQuotes = originalString.slice(1, -1);
-      
-      // Only translate if there's actual content
-      if (contentWithoutQuotes.trim().length > 0) {
-        const translated = await translateText(contentWithoutQuotes, config);
-        // Store with quotes
-        const translatedString = `"${translated}"`;
-        translations.set(originalString, translatedString);
-        
-        // Replace in content
-        translatedContent = replaceAll(translatedContent, originalString, translatedString);
-        
-        // Write current state to file after each translation
-        await fs.writeFile(outputPath, translatedContent, 'utf-8');
-      } else {
-        // Keep empty strings as-is
-        translations.set(originalString, originalString);
+  // Translate all strings in batches and write incrementally
+  const values = translations.map(item => item.value);
+  const { errors } = await translateBatch(values, snbtConfig, async (completed, total, updates) => {
+    for (const [index, translated] of updates) {
+      const item = translations[index];
+      if (item.unit) {
+        // Text components are serialized again once any of their units changed
+        applyComponentTranslation(item.unit, translated, item.holder);
+        if (item.holder.changed) {
+          item.string.source = formatSnbtString(JSON.stringify(item.holder.component), item.string);
+        }
+      } else if (translated !== item.value) {
+        // Unchanged strings keep their exact source (quotes, escapes)
+        item.string.source = formatSnbtString(translated, item.string);
       }
-      
-      progressBar.update(i + 1);
-    } catch (error) {
-      console.error(`\n❌ Error translating string ${i + 1}/${translatableStrings.length}:`, error.message);
-      // Keep original string on error
-      translations.set(originalString, originalString);
-      progressBar.update(i + 1);
     }
-  }
+
+    // Rewrite the translated strings and write current state to file
+    const output = replaceRanges(fileContent, strings.filter(string => string.source !== undefined)
+      .map(string => ({ start: string.start, end: string.end, source: string.source })));
+    await fs.writeFile(outputPath, output, 'utf-8');
+
+    progressBar.update(completed);
+  });
 
   progressBar.stop();
 
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} strings could not be translated and were kept as-is`);
+  }
+
   console.log(`✅ Translation complete: ${path.basename(outputPath)}`);
+
+  return { total: translations.length, failed: errors.length };
 }
 
 /**
- * Extracts all quoted strings from SNBT content
- * Handles both single and double quotes, and escaped quotes
- * @param {string} content - SNBT file content
- * @returns {Array<string>} - Array of quoted strings (including quotes)
+ * Validates SNBT settings from the project configuration
+ * @param {Object} options - { textKeys }
+ * @returns {Array<string>} - Error messages (empty if valid)
  */
-function extractQuotedStrings(content) {
-  const strings = [];
-  const regex = /"(?:[^"\\]|\\.)*"/g;
-  
-  let match;
-  while ((match = regex.exec(content)) !== null) {
-    strings.push(match[0]);
+export function validateSnbtOptions(options) {
+  const errors = [];
+  const { textKeys, ...unknown } = options;
+
+  for (const key of Object.keys(unknown)) {
+    errors.push(`unknown option "${key}" (expected textKeys)`);
   }
-  
-  return strings;
+  if (textKeys !== undefined && !(Array.isArray(textKeys) && textKeys.every(key => typeof key === 'string' && key.trim() !== ''))) {
+    errors.push('textKeys must be an array of key names (e.g. "description", "display.Lore")');
+  }
+
+  return errors;
 }
 
 /**
- * Replaces all occurrences of a string with another
- * @param {string} str - Original string
- * @param {string} find - String to find
- * @param {string} replace - Replacement string
- * @returns {string} - String with replacements
+ * Selects the non-empty strings stored under a text key
+ * A text key matches the end of the key path without list indices, so "display.Lore" matches
+ * "tag.display.Lore.0" and "description" matches "quests.3.description.1". Strings holding a
+ * JSON text component contribute their display text as units
+ * @param {Array<Object>} strings - Strings from findSnbtStrings
+ * @param {Array<string>} textKeys - Text keys (key-path globs)
+ * @returns {Array<Object>} - [{ value, path, string, unit?, holder? }]
  */
-function replaceAll(str, find, replace) {
-  // Escape special regex characters in the find string
-  const escapedFind = find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  return str.replace(new RegExp(escapedFind, 'g'), replace);
+function collectTranslatableStrings(strings, textKeys) {
+  const patterns = textKeys.map(key => globToRegExp(`**.${key}`, '.'));
+
+  return strings
+    .filter(string => {
+      const keys = joinKeyPath(string.path.filter(segment => typeof segment === 'string'));
+      return string.value.trim().length > 0 && patterns.some(pattern => pattern.test(keys));
+    })
+    .flatMap(string => {
+      const component = extractComponentStringUnits(string.value, string.path);
+      if (component) {
+        return component.units.map(unit => ({ value: unit.value, path: joinKeyPath(unit.path), string, unit, holder: component.holder }));
+      }
+      return [{ value: string.value, path: joinKeyPath(string.path), string }];
+    });
 }
@@ -0,0 +1,61 @@
+/**
+ * Source file cache
+ * Reads and parses each input file once so it can be reused for every target language
+ */
+
+import fs from 'fs-extra';
+
+const cache = new Map();
+
+/**
+ * Reads and parses a source file, reusing the cached parse on later calls
+ * Each call returns a fresh copy of the parsed data, so handlers may modify it freely
+ * @param {string} inputPath - Path to the source file
+ * @param {Function} parse - Parser applied to the file content (defaults to none)
+ * @param {string} encoding - File encoding (e.g. 'utf-8', 'latin1')
+ * @returns {Promise<Object>} - { content: raw file content, data: parsed copy }
+ */
+export async function loadSource(inputPath, parse = null, encoding = 'utf-8') {
+  const cacheKey = `${encoding}:${inputPath}`;
+
+  if (!cache.has(cacheKey)) {
+    const content = await fs.readFile(inputPath, encoding);
+    const data = parse ? parse(content) : null;
+    cache.set(cacheKey, { content, data });
+  }
+
+  const { content, data } = cache.get(cacheKey);
+  return { content, data: deepClone(data) };
+}
+
+/**
+ * Forgets all cached source files
+ */
+export function clearSourceCache() {
+  cache.clear();
+}
+
+/**
+ * Deep-copies parsed data (plain objects, arrays, dates and primitives)
+ * @param {*} value - Value to copy
+ * @returns {*} - Copy of the value
+ */
+function deepClone(value) {
+  if (Array.isArray(value)) {
+    return value.map(deepClone);
+  }
+
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    const copy = Object.create(Object.getPrototypeOf(value));
+    for (const [k, v] of Object.entries(value)) {
+      copy[k] = deepClone(v);
+    }
+    return copy;
+  }
+
+  return value;
+}
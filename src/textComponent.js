@@ -0,0 +1,200 @@
+/**
+ * Minecraft JSON text components
+ * Detects text components ({"text":"Hello","color":"gold","extra":[...]}) in parsed data and in
+ * JSON strings, and turns their display text into translation units. Adjacent styled segments
+ * are sent as one sentence with protected markers between them, so the translation has context
+ */
+
+// Keys a text component may have; objects with any other key are treated as plain data
+const COMPONENT_KEYS = new Set([
+  'type', 'text', 'translate', 'with', 'fallback', 'extra', 'keybind', 'score', 'selector', 'separator',
+  'nbt', 'interpret', 'block', 'entity', 'storage', 'source', 'color', 'font', 'bold', 'italic',
+  'underlined', 'strikethrough', 'obfuscated', 'shadow_color', 'insertion',
+  'clickEvent', 'hoverEvent', 'click_event', 'hover_event'
+]);
+
+// Marker between the segments of a merged sentence, protected like a formatting code
+export const SEGMENT_MARKER_PATTERN = /<s\d+\/>/g;
+const SEGMENT_SPLIT = /<s(\d+)\/>/;
+
+/**
+ * Checks whether a parsed value is a text component object
+ * @param {*} value - Parsed value
+ * @returns {boolean} - True for an object with text or translate and only component keys
+ */
+export function isTextComponent(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+    (typeof value.text === 'string' || typeof value.translate === 'string') &&
+    Object.keys(value).every(key => COMPONENT_KEYS.has(key));
+}
+
+/**
+ * Checks whether a parsed array is a text component in array form, such as the arguments of
+ * tellraw (["", {"text":"Hello ","color":"gold"}, "world"]). Arrays in data files are only read
+ * this way when they start with an empty string, since a list of lore lines looks the same otherwise
+ * @param {*} value - Parsed value
+ * @param {boolean} anyFirst - Whether the first element may be something other than ""
+ * @returns {boolean} - True for an array of strings and components holding at least one component
+ */
+export function isComponentArray(value, anyFirst = false) {
+  return Array.isArray(value) && (anyFirst || value[0] === '') && value.some(isTextComponent) &&
+    value.every(element => typeof element === 'string' || isTextComponent(element));
+}
+
+/**
+ * Parses a string holding a JSON text component, as stored in item names, lore and book pages
+ * @param {string} value - String value
+ * @returns {*} - The component (object, array or JSON string), or null if the string is not one
+ */
+export function parseComponentString(value) {
+  const trimmed = value.trim();
+  if (!/^[{["]/.test(trimmed)) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch {
+    return null;
+  }
+
+  // Array form: the first element is the parent, the rest are its extra segments
+  if (typeof parsed === 'string' || isTextComponent(parsed) || isComponentArray(parsed, true)) {
+    return parsed;
+  }
+  return null;
+}
+
+/**
+ * Collects the translation units of a string holding a JSON text component
+ * The holder keeps the parsed component; serialize it with JSON.stringify(holder.component)
+ * once holder.changed is set by applyComponentTranslation
+ * @param {string} value - String value
+ * @param {Array<string|number>} keyPath - Key segments leading to the string
+ * @returns {Object|null} - { holder, units }, or null if the string is not a text component
+ */
+export function extractComponentStringUnits(value, keyPath) {
+  const component = parseComponentString(value);
+  if (component === null) {
+    return null;
+  }
+
+  const holder = { component, changed: false };
+  return { holder, units: extractComponentUnits(holder, 'component', keyPath) };
+}
+
+/**
+ * Collects the translation units of a text component
+ * The text of a component and its extra segments form one unit; translate arguments and
+ * hover texts are separate units
+ * @param {Object} holder - Object holding the component
+ * @param {string|number} key - Key of the component in the holder
+ * @param {Array<string|number>} keyPath - Key segments leading to the component
+ * @returns {Array<Object>} - Units: [{ value, segments: [{ ref, key, value, path }], path }]
+ */
+export function extractComponentUnits(holder, key, keyPath) {
+  const units = [];
+  collectUnit(holder, key, keyPath, units);
+  return units;
+}
+
+/**
+ * Collects the unit starting at a component, and the separate units nested in it
+ * @param {Object} holder - Object holding the component
+ * @param {string|number} key - Key of the component in the holder
+ * @param {Array<string|number>} keyPath - Key segments leading to the component
+ * @param {Array<Object>} units - Units collected so far
+ */
+function collectUnit(holder, key, keyPath, units) {
+  const segments = [];
+  const nested = [];
+  collectSegments(holder, key, keyPath, segments, nested);
+
+  // Empty segments (often the root of a styled list) carry no text
+  const texts = segments.filter(segment => segment.value !== '');
+  if (texts.some(segment => segment.value.trim() !== '')) {
+    units.push({
+      value: texts.map((segment, index) => (index > 0 ? `<s${index}/>` : '') + segment.value).join(''),
+      segments: texts,
+      path: texts[0].path
+    });
+  }
+  units.push(...nested);
+}
+
+/**
+ * Collects the text segments of a component that belong to the same sentence
+ * @param {Object} holder - Object holding the component
+ * @param {string|number} key - Key of the component in the holder
+ * @param {Array<string|number>} keyPath - Key segments leading to the component
+ * @param {Array<Object>} segments - Segments of the current unit
+ * @param {Array<Object>} units - Separate units found on the way
+ */
+function collectSegments(holder, key, keyPath, segments, units) {
+  const node = holder[key];
+
+  if (typeof node === 'string') {
+    segments.push({ ref: holder, key, value: node, path: keyPath });
+  } else if (Array.isArray(node)) {
+    node.forEach((element, index) => collectSegments(node, index, [...keyPath, index], segments, units));
+  } else if (isTextComponent(node)) {
+    if (typeof node.text === 'string') {
+      segments.push({ ref: node, key: 'text', value: node.text, path: [...keyPath, 'text'] });
+    }
+    if (Array.isArray(node.with)) {
+      node.with.forEach((argument, index) => collectUnit(node.with, index, [...keyPath, 'with', index], units));
+    }
+    for (const hoverKey of ['hoverEvent', 'hover_event']) {
+      const hover = node[hoverKey];
+      if (hover && hover.action === 'show_text') {
+        const contentKey = hover.contents !== undefined ? 'contents' : 'value';
+        collectUnit(hover, contentKey, [...keyPath, hoverKey, contentKey], units);
+      }
+    }
+    if (Array.isArray(node.extra)) {
+      node.extra.forEach((element, index) => collectSegments(node.extra, index, [...keyPath, 'extra', index], segments, units));
+    }
+  }
+}
+
+/**
+ * Writes a translated unit back into its segments
+ * @param {Object} unit - Unit from extractComponentUnits
+ * @param {string} translated - Translated sentence, with the segment markers
+ * @param {Object} holder - Holder from extractComponentStringUnits, marked as changed (optional)
+ * @returns {boolean} - True if any segment changed
+ */
+export function applyComponentTranslation(unit, translated, holder = null) {
+  const parts = translated.split(SEGMENT_SPLIT);
+  const texts = [parts[0]];
+  for (let i = 1; i < parts.length; i += 2) {
+    texts[Number(parts[i])] = parts[i + 1];
+  }
+
+  let changed = false;
+  unit.segments.forEach((segment, index) => {
+    const text = texts[index] === undefined ? '' : texts[index];
+    if (text !== segment.ref[segment.key]) {
+      segment.ref[segment.key] = text;
+      changed = true;
+    }
+  });
+
+  if (changed && holder) {
+    holder.changed = true;
+  }
+  return changed;
+}
+
+/**
+ * Adds the segment markers to the protected placeholder patterns of a configuration
+ * @param {Object} config - Translator configuration
+ * @returns {Object} - Configuration for component units
+ */
+export function componentConfig(config) {
+  return {
+    ...config,
+    placeholderPatterns: [SEGMENT_MARKER_PATTERN, ...(config.placeholderPatterns || [])]
+  };
+}
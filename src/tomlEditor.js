@@ -0,0 +1,320 @@
+/**
+ * Format-preserving TOML editing
+ * Locates the string values of a TOML document in its source text so they can be rewritten
+ * in place, leaving comments, layout, key order and every other value exactly as written
+ */
+
+// Escape sequences of basic strings
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\u001b', '"': '"', '\\': '\\' };
+const ESCAPED = { '\b': '\\b', '\t': '\\t', '\n': '\\n', '\f': '\\f', '\r': '\\r', '"': '\\"', '\\': '\\\\' };
+
+// Non-string scalars: numbers, booleans, and dates/times (optionally with a space before the time)
+const SCALAR_PATTERN = /^(?:\d{4}-\d{2}-\d{2}[T ]\d{2}:[^\s,\]}#]*|[^\s,\]}#]+)/;
+
+/**
+ * Finds every string value of a TOML document
+ * @param {string} content - TOML source
+ * @returns {Array<Object>} - [{ path, start, end, value, style, newline }] in source order, where
+ *   path holds key segments and array indices, start/end delimit the literal including its quotes,
+ *   style is basic, literal, multiline-basic or multiline-literal and newline is the line break
+ *   that followed the opening delimiter of a multiline string
+ */
+export function findTomlStrings(content) {
+  const scanner = { text: content, pos: 0, strings: [] };
+  const arrayTables = new Map();
+  let table = [];
+
+  while (skipTrivia(scanner, true)) {
+    if (scanner.text[scanner.pos] === '[') {
+      const isArray = scanner.text[scanner.pos + 1] === '[';
+      scanner.pos += isArray ? 2 : 1;
+      const keys = parseKey(scanner);
+      expect(scanner, isArray ? ']]' : ']');
+      table = resolveTablePath(keys, isArray, arrayTables);
+    } else {
+      const keys = parseKey(scanner);
+      expect(scanner, '=');
+      parseValue(scanner, [...table, ...keys]);
+    }
+  }
+
+  return scanner.strings;
+}
+
+/**
+ * Resolves a table header to a data path, inserting the current index of arrays of tables
+ * @param {Array<string>} keys - Header keys
+ * @param {boolean} isArray - Whether the header is an array of tables ([[...]])
+ * @param {Map<string, number>} arrayTables - Element counts of arrays of tables, by resolved path
+ * @returns {Array<string|number>} - Resolved path
+ */
+function resolveTablePath(keys, isArray, arrayTables) {
+  const resolved = [];
+
+  keys.forEach((key, index) => {
+    resolved.push(key);
+    const id = JSON.stringify(resolved);
+
+    if (isArray && index === keys.length - 1) {
+      const count = arrayTables.get(id) || 0;
+      arrayTables.set(id, count + 1);
+      resolved.push(count);
+    } else if (arrayTables.has(id)) {
+      // [fruit.physical] after [[fruit]] belongs to the latest fruit
+      resolved.push(arrayTables.get(id) - 1);
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Skips whitespace and comments
+ * @param {Object} scanner - { text, pos }
+ * @param {boolean} newlines - Whether line breaks are skipped too
+ * @returns {boolean} - True if there is more input
+ */
+function skipTrivia(scanner, newlines) {
+  const pattern = newlines ? /[ \t\r\n]/ : /[ \t]/;
+
+  while (scanner.pos < scanner.text.length) {
+    const char = scanner.text[scanner.pos];
+    if (pattern.test(char)) {
+      scanner.pos++;
+    } else if (char === '#' && newlines) {
+      while (scanner.pos < scanner.text.length && scanner.text[scanner.pos] !== '\n') {
+        scanner.pos++;
+      }
+    } else {
+      break;
+    }
+  }
+
+  return scanner.pos < scanner.text.length;
+}
+
+/**
+ * Consumes expected text after optional whitespace
+ * @param {Object} scanner - { text, pos }
+ * @param {string} text - Expected text
+ */
+function expect(scanner, text) {
+  skipTrivia(scanner, false);
+  if (!scanner.text.startsWith(text, scanner.pos)) {
+    throw scanError(scanner, `Expected "${text}"`);
+  }
+  scanner.pos += text.length;
+}
+
+/**
+ * Creates an error pointing at the current line
+ * @param {Object} scanner - { text, pos }
+ * @param {string} message - Error message
+ * @returns {Error} - Error with the line number
+ */
+function scanError(scanner, message) {
+  const line = scanner.text.slice(0, scanner.pos).split('\n').length;
+  return new Error(`${message} at line ${line}`);
+}
+
+/**
+ * Parses a bare, quoted or dotted key
+ * @param {Object} scanner - { text, pos }
+ * @returns {Array<string>} - Key segments
+ */
+function parseKey(scanner) {
+  const keys = [];
+
+  for (;;) {
+    skipTrivia(scanner, false);
+    const char = scanner.text[scanner.pos];
+
+    if (char === '"' || char === "'") {
+      keys.push(parseString(scanner, char === '"', false));
+    } else {
+      const bare = scanner.text.slice(scanner.pos).match(/^[A-Za-z0-9_-]+/);
+      if (!bare) {
+        throw scanError(scanner, 'Invalid key');
+      }
+      keys.push(bare[0]);
+      scanner.pos += bare[0].length;
+    }
+
+    skipTrivia(scanner, false);
+    if (scanner.text[scanner.pos] !== '.') {
+      return keys;
+    }
+    scanner.pos++;
+  }
+}
+
+/**
+ * Parses a value, recording every string it contains
+ * @param {Object} scanner - { text, pos, strings }
+ * @param {Array<string|number>} path - Path of the value
+ */
+function parseValue(scanner, path) {
+  skipTrivia(scanner, false);
+  const { text } = scanner;
+  const start = scanner.pos;
+  const char = text[start];
+
+  if (char === '"' || char === "'") {
+    const basic = char === '"';
+    const multiline = text.startsWith(char.repeat(3), start);
+    const style = `${multiline ? 'multiline-' : ''}${basic ? 'basic' : 'literal'}`;
+    const newline = multiline ? (text.slice(start + 3).match(/^\r?\n/) || [''])[0] : '';
+    const value = parseString(scanner, basic, multiline);
+
+    scanner.strings.push({ path, start, end: scanner.pos, value, style, newline });
+  } else if (char === '[') {
+    scanner.pos++;
+    for (let index = 0; ; index++) {
+      skipTrivia(scanner, true);
+      if (text[scanner.pos] === ']') {
+        break;
+      }
+      parseValue(scanner, [...path, index]);
+      skipTrivia(scanner, true);
+      if (text[scanner.pos] !== ',') {
+        break;
+      }
+      scanner.pos++;
+    }
+    expect(scanner, ']');
+  } else if (char === '{') {
+    scanner.pos++;
+    for (;;) {
+      skipTrivia(scanner, true);
+      if (text[scanner.pos] === '}') {
+        break;
+      }
+      const keys = parseKey(scanner);
+      expect(scanner, '=');
+      parseValue(scanner, [...path, ...keys]);
+      skipTrivia(scanner, true);
+      if (text[scanner.pos] !== ',') {
+        break;
+      }
+      scanner.pos++;
+    }
+    expect(scanner, '}');
+  } else {
+    const scalar = text.slice(start).match(SCALAR_PATTERN);
+    if (!scalar) {
+      throw scanError(scanner, 'Invalid value');
+    }
+    scanner.pos += scalar[0].length;
+  }
+}
+
+/**
+ * Parses a string literal starting at the current position
+ * @param {Object} scanner - { text, pos }
+ * @param {boolean} basic - Basic ("...") rather than literal ('...') string
+ * @param {boolean} multiline - Triple-quoted string
+ * @returns {string} - String value
+ */
+function parseString(scanner, basic, multiline) {
+  const { text } = scanner;
+  const quote = basic ? '"' : "'";
+  const delimiter = multiline ? quote.repeat(3) : quote;
+  let value = '';
+
+  scanner.pos += delimiter.length;
+  if (multiline) {
+    // A line break right after the opening delimiter is not part of the value
+    scanner.pos += (text.slice(scanner.pos).match(/^\r?\n/) || [''])[0].length;
+  }
+
+  for (;;) {
+    if (scanner.pos >= text.length) {
+      throw scanError(scanner, 'Unterminated string');
+    }
+    const char = text[scanner.pos];
+
+    if (text.startsWith(delimiter, scanner.pos)) {
+      if (!multiline) {
+        scanner.pos++;
+        return value;
+      }
+      // Up to two quotes may directly precede the closing delimiter
+      const run = text.slice(scanner.pos).match(basic ? /^"{3,5}/ : /^'{3,5}/)[0];
+      value += quote.repeat(run.length - 3);
+      scanner.pos += run.length;
+      return value;
+    }
+
+    if (char === '\n' && !multiline) {
+      throw scanError(scanner, 'Unterminated string');
+    }
+
+    if (char === '\\' && basic) {
+      const next = text[scanner.pos + 1];
+      const lineEnding = multiline && text.slice(scanner.pos + 1).match(/^[ \t]*\r?\n[ \t\r\n]*/);
+
+      if (lineEnding) {
+        // Line-ending backslash: the line break and the following whitespace are trimmed
+        scanner.pos += 1 + lineEnding[0].length;
+      } else if (next === 'u' || next === 'U') {
+        const length = next === 'u' ? 4 : 8;
+        const hex = text.slice(scanner.pos + 2, scanner.pos + 2 + length);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) {
+          throw scanError(scanner, 'Invalid unicode escape');
+        }
+        value += String.fromCodePoint(parseInt(hex, 16));
+        scanner.pos += 2 + length;
+      } else if (next in ESCAPES) {
+        value += ESCAPES[next];
+        scanner.pos += 2;
+      } else {
+        throw scanError(scanner, `Invalid escape "\\${next}"`);
+      }
+      continue;
+    }
+
+    value += char;
+    scanner.pos++;
+  }
+}
+
+/**
+ * Writes a value as a TOML string literal in the style of an existing one
+ * Literal styles fall back to the matching basic style when the value cannot be written in them
+ * @param {string} value - New value
+ * @param {Object} original - String from findTomlStrings ({ style, newline })
+ * @returns {string} - TOML string literal
+ */
+export function formatTomlString(value, original) {
+  const multiline = original.style.startsWith('multiline-');
+  // The line break after the opening delimiter is trimmed, so a value starting with one needs another
+  const newline = original.newline || (value.startsWith('\n') ? '\n' : '');
+
+  if (original.style === 'literal' && !/['\u0000-\u0008\u000a-\u001f\u007f]/.test(value)) {
+    return `'${value}'`;
+  }
+  if (original.style === 'multiline-literal' && !/'''|'$|[\u0000-\u0008\u000b-\u001f\u007f]/.test(value)) {
+    return `'''${newline}${value}'''`;
+  }
+
+  if (multiline) {
+    const body = escapeBasic(value, /[\u0000-\u0008\u000b-\u001f\u007f\\]/g)
+      // No three quotes in a row, and none right before the closing delimiter
+      .replace(/"(?=""|$)/g, '\\"');
+    return `"""${newline}${body}"""`;
+  }
+
+  return `"${escapeBasic(value, /[\u0000-\u001f\u007f"\\]/g)}"`;
+}
+
+/**
+ * Escapes characters for a basic string
+ * @param {string} value - Value to escape
+ * @param {RegExp} pattern - Global pattern of the characters that need escaping
+ * @returns {string} - Escaped value
+ */
+function escapeBasic(value, pattern) {
+  return value.replace(pattern, char =>
+    ESCAPED[char] || `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`
+  );
+}
@@ -1,12 +1,17 @@
 /**
  * TOML file handler
- * Translates TOML files while preserving structure and comments
+ * Translates TOML files by rewriting only their string literals, so comments, layout,
+ * key order and string styles are preserved
  */
 
 import fs from 'fs-extra';
 import path from 'path';
 import toml from 'toml';
-import { translateText } from './translator.js';
+import { translateBatch, estimateBatch } from './translator.js';
+import { loadSource } from './sourceCache.js';
+import { findTomlStrings, formatTomlString } from './tomlEditor.js';
+import { replaceRanges } from './utils.js';
+import { filterByKeyPath, joinKeyPath } from './keyFilter.js';
 import cliProgress from 'cli-progress';
 
 /**
@@ -14,25 +19,32 @@ import cliProgress from 'cli-progress';
  * @param {string} inputPath - Path to input TOML file
  * @param {string} outputPath - Path to output TOML file
  * @param {Object} config - Translator configuration
+ * @returns {Promise<Object>} - { total, failed } value counts
  */
 export async function translateTomlFile(inputPath, outputPath, config) {
-  console.log(`\n📄 Processing TOML file: ${path.basename(inputPath)}`);
+  console.log(`\n📄 Processing TOML file: ${path.basename(inputPath)} (${config.sourceLang} → ${config.targetLang})`);
 
-  // Read file content
-  const fileContent = await fs.readFile(inputPath, 'utf-8');
+  // Read and parse TOML file (parsed once per run, reused for every language)
+  const { content: fileContent, data } = await loadSource(inputPath, toml.parse);
 
-  // Parse TOML
-  const data = toml.parse(fileContent);
+  // Collect translatable values (minus those skipped by the key rules)
+  const collected = collectTranslatableValues(fileContent, data);
+  const translations = filterByKeyPath(collected, config);
 
-  // Collect translatable values
-  const translations = [];
-  collectTranslatableValues(data, translations);
+  // Key paths identify the values in XLIFF exchange files
+  const tomlConfig = { ...config, keyPaths: translations.map(item => item.path) };
+
+  // Dry run: count what would be sent, without calling the API or writing output
+  if (config.dryRun) {
+    const estimate = estimateBatch(translations.map(item => item.value), tomlConfig);
+    return { total: translations.length, failed: 0, estimate };
+  }
 
   if (translations.length === 0) {
     console.log('⚠️  No translatable content found');
     await fs.ensureDir(path.dirname(outputPath));
     await fs.writeFile(outputPath, fileContent, 'utf-8');
-    return;
+    return { total: 0, failed: 0 };
   }
 
   console.log(`📝 Found ${translations.length} values to translate`);
@@ -50,105 +62,108 @@ export async function translateTomlFile(inputPath, outputPath, config) {
 
   progressBar.start(translations.length, 0);
 
-  // Translate each value and write incrementally
-  for (let i = 0; i < translations.length; i++) {
-    const item = translations[i];
-    try {
-      const translated = await translateText(item.value, config);
-      item.ref[item.key] = translated;
-
-      // Convert back to TOML
-      const tomlOutput = stringifyToml(data);
-
-      // Write current state to file
+  // Translate all values in batches and write incrementally. The bar is stopped even when
+  // the round-trip check fails, so the terminal cursor is restored
+  const values = translations.map(item => item.value);
+  let errors;
+  try {
+    ({ errors } = await translateBatch(values, tomlConfig, async (completed, total, updates) => {
+      for (const [index, translated] of updates) {
+        const item = translations[index];
+        item.ref[item.key] = translated;
+        // Unchanged values keep their exact source (escapes, line-ending backslashes)
+        if (translated !== item.value) {
+          item.source = formatTomlString(translated, item.string);
+        }
+      }
+
+      // Rewrite the translated literals and write current state to file
+      const tomlOutput = replaceRanges(fileContent, translations.filter(item => item.source !== undefined)
+        .map(item => ({ start: item.string.start, end: item.string.end, source: item.source })));
+      verifyRoundTrip(tomlOutput, data);
       await fs.writeFile(outputPath, tomlOutput, 'utf-8');
 
-      progressBar.update(i + 1);
-    } catch (error) {
-      console.error(`\n❌ Error translating "${item.value}": ${error.message}`);
-      progressBar.update(i + 1);
-    }
+      progressBar.update(completed);
+    }));
+  } finally {
+    progressBar.stop();
   }
 
-  progressBar.stop();
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} values could not be translated and were kept as-is`);
+  }
 
   console.log(`✅ Translation complete: ${path.basename(outputPath)}`);
+
+  return { total: translations.length, failed: errors.length };
 }
 
 /**
- * Recursively collects all translatable string values from TOML data
- * @param {*} obj - Current object/value being processed
- * @param {Array} translations - Array to collect translations
- * @param {Object} parent - Parent object reference
- * @param {string} key - Key in parent object
+ * Collects all translatable string values, with their location in the source
+ * @param {string} content - TOML source
+ * @param {Object} data - Parsed TOML data
+ * @returns {Array<Object>} - [{ value, ref, key, path, string }]
  */
-function collectTranslatableValues(obj, translations, parent = null, key = null) {
-  if (typeof obj === 'string') {
-    if (obj.trim().length > 0 && parent && key) {
-      translations.push({ value: obj, ref: parent, key });
-    }
-  } else if (Array.isArray(obj)) {
-    obj.forEach((item, index) => {
-      collectTranslatableValues(item, translations, obj, index);
+function collectTranslatableValues(content, data) {
+  return findTomlStrings(content)
+    .filter(string => string.value.trim().length > 0)
+    .map(string => {
+      const ref = string.path.slice(0, -1).reduce((node, segment) => node && node[segment], data);
+      const key = string.path[string.path.length - 1];
+
+      // The scanner and the parser must agree, or edits could land in the wrong place
+      if (!ref || ref[key] !== string.value) {
+        throw new Error(`Could not locate the value of ${joinKeyPath(string.path)} in the TOML source`);
+      }
+      return { value: string.value, ref, key, path: joinKeyPath(string.path), string };
     });
-  } else if (typeof obj === 'object' && obj !== null) {
-    for (const [k, v] of Object.entries(obj)) {
-      collectTranslatableValues(v, translations, obj, k);
-    }
-  }
 }
 
 /**
- * Converts a JavaScript object to TOML format
- * @param {Object} obj - Object to convert
- * @param {string} prefix - Current section prefix
- * @returns {string} - TOML formatted string
+ * Checks that the edited TOML parses back to the expected data
+ * @param {string} output - Edited TOML source
+ * @param {Object} expected - Source data with the translated values applied
  */
-function stringifyToml(obj, prefix = '') {
-  let result = '';
-  const sections = {};
-  const values = {};
-
-  // Separate values and nested objects
-  for (const [key, value] of Object.entries(obj)) {
-    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-      sections[key] = value;
-    } else {
-      values[key] = value;
-    }
-  }
-
-  // Write values first
-  for (const [key, value] of Object.entries(values)) {
-    result += `${key} = ${formatTomlValue(value)}\n`;
+function verifyRoundTrip(output, expected) {
+  let actual;
+  try {
+    actual = toml.parse(output);
+  } catch (error) {
+    throw new Error(`Translated TOML does not parse: ${error.message}`);
   }
 
-  // Write sections
-  for (const [key, value] of Object.entries(sections)) {
-    const sectionName = prefix ? `${prefix}.${key}` : key;
-    result += `\n[${sectionName}]\n`;
-    result += stringifyToml(value, sectionName);
+  const difference = findDifference(expected, actual);
+  if (difference !== null) {
+    throw new Error(`Translated TOML does not match the source structure at ${difference || '(root)'}`);
   }
-
-  return result;
 }
 
 /**
- * Formats a value for TOML output
- * @param {*} value - Value to format
- * @returns {string} - Formatted value
+ * Finds the first path where two parsed TOML values differ
+ * @param {*} expected - Expected value
+ * @param {*} actual - Actual value
+ * @param {Array<string|number>} keyPath - Path of the values
+ * @returns {string|null} - Key path of the first difference, or null when equal
  */
-function formatTomlValue(value) {
-  if (typeof value === 'string') {
-    // Escape quotes and backslashes
-    const escaped = value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
-    return `"${escaped}"`;
-  } else if (typeof value === 'number' || typeof value === 'boolean') {
-    return String(value);
-  } else if (Array.isArray(value)) {
-    return '[' + value.map(formatTomlValue).join(', ') + ']';
-  } else if (value === null) {
-    return 'null';
+function findDifference(expected, actual, keyPath = []) {
+  if (expected instanceof Date || actual instanceof Date) {
+    const equal = expected instanceof Date && actual instanceof Date && expected.getTime() === actual.getTime();
+    return equal ? null : joinKeyPath(keyPath);
+  }
+
+  if (typeof expected !== 'object' || expected === null || typeof actual !== 'object' || actual === null) {
+    return Object.is(expected, actual) ? null : joinKeyPath(keyPath);
+  }
+
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  if (Array.isArray(expected) !== Array.isArray(actual)) {
+    return joinKeyPath(keyPath);
+  }
+  for (const key of keys) {
+    const difference = findDifference(expected[key], actual[key], [...keyPath, key]);
+    if (difference !== null) {
+      return difference;
+    }
   }
-  return String(value);
+  return null;
 }
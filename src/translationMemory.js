@@ -0,0 +1,298 @@
+/**
+ * Translation memory
+ * Persistent on-disk cache of earlier translations, so identical strings are only paid for once
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { UsageError } from './cli.js';
+
+// Default location of the memory file (relative to the working directory)
+export const DEFAULT_MEMORY_FILE = '.translation-memory.json';
+
+// Number of new entries after which the memory is written to disk mid-run
+const SAVE_INTERVAL = 25;
+
+const FILE_VERSION = 1;
+
+let memoryPath = null;
+let entries = null;
+let unsavedEntries = 0;
+let pendingSave = Promise.resolve();
+
+/**
+ * Resolves the memory file path from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {string} - Absolute path to the memory file
+ */
+export function resolveMemoryPath(env) {
+  return path.resolve(env.TRANSLATION_MEMORY_FILE || DEFAULT_MEMORY_FILE);
+}
+
+/**
+ * Loads the translation memory from disk (an empty memory if the file does not exist yet)
+ * @param {string} filePath - Path to the memory file
+ * @returns {Promise<number>} - Number of loaded entries
+ */
+export async function loadTranslationMemory(filePath) {
+  memoryPath = filePath;
+  entries = {};
+  unsavedEntries = 0;
+
+  if (await fs.pathExists(filePath)) {
+    const data = await fs.readJson(filePath);
+    if (data.version !== FILE_VERSION || typeof data.entries !== 'object') {
+      throw new Error(`Unsupported translation memory file: ${filePath}`);
+    }
+    entries = data.entries;
+  }
+
+  return Object.keys(entries).length;
+}
+
+/**
+ * Writes the translation memory to disk if it was loaded
+ * Saves are queued so concurrent callers never write the file at the same time
+ * @returns {Promise<void>}
+ */
+export function saveTranslationMemory() {
+  pendingSave = pendingSave.catch(() => {}).then(writeTranslationMemory);
+  return pendingSave;
+}
+
+/**
+ * Writes the translation memory file
+ * @returns {Promise<void>}
+ */
+async function writeTranslationMemory() {
+  if (!entries || !memoryPath) {
+    return;
+  }
+
+  // Write to a temporary file first so an interrupted run cannot corrupt the memory
+  const tempPath = `${memoryPath}.tmp`;
+  await fs.ensureDir(path.dirname(memoryPath));
+  await fs.writeJson(tempPath, { version: FILE_VERSION, entries }, { spaces: 2 });
+  await fs.move(tempPath, memoryPath, { overwrite: true });
+  unsavedEntries = 0;
+}
+
+/**
+ * Builds the memory key for a source string
+ * The key covers the text, the provider, the language pair, the glossary and every option that changes the result
+ * @param {string} text - Source text (as sent to the API)
+ * @param {Object} config - Translator configuration
+ * @returns {string} - Hex digest key
+ */
+function buildKey(text, config) {
+  const glossaryId = config.glossary ? config.glossary.id : null;
+  const options = config.translationOptions || {};
+  const sortedOptions = Object.keys(options).sort().map(key => [key, options[key]]);
+  const parts = [config.provider.name, config.sourceLang, config.targetLang, glossaryId, sortedOptions, text];
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Looks up an earlier translation of a string
+ * @param {string} text - Source text (as sent to the API)
+ * @param {Object} config - Translator configuration
+ * @returns {string|null} - Cached translation, or null on a miss
+ */
+export function lookupTranslation(text, config) {
+  if (!entries) {
+    return null;
+  }
+
+  const entry = entries[buildKey(text, config)];
+  if (!entry) {
+    return null;
+  }
+
+  // A dry run only checks for a hit; it does not count as a use
+  if (!config.dryRun) {
+    entry.hits++;
+    entry.lastUsedAt = new Date().toISOString();
+  }
+  return entry.translation;
+}
+
+/**
+ * Stores a translation in the memory
+ * @param {string} text - Source text (as sent to the API)
+ * @param {string} translation - Translated text
+ * @param {Object} config - Translator configuration
+ * @returns {Promise<void>}
+ */
+export async function storeTranslation(text, translation, config) {
+  if (!entries) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  entries[buildKey(text, config)] = {
+    source: text,
+    translation,
+    provider: config.provider.name,
+    sourceLang: config.sourceLang,
+    targetLang: config.targetLang,
+    options: config.translationOptions || {},
+    hits: 0,
+    createdAt: now,
+    lastUsedAt: now
+  };
+
+  unsavedEntries++;
+  if (unsavedEntries >= SAVE_INTERVAL) {
+    await saveTranslationMemory();
+  }
+}
+
+/**
+ * Collects statistics about the loaded memory
+ * @returns {Object} - { entries, characters, hits, pairs: { 'EN→TR': count } }
+ */
+export function getMemoryStats() {
+  const stats = { entries: 0, characters: 0, hits: 0, pairs: {} };
+
+  for (const entry of Object.values(entries || {})) {
+    const pair = `${entry.sourceLang}→${entry.targetLang}`;
+    stats.entries++;
+    stats.characters += entry.source.length;
+    stats.hits += entry.hits;
+    stats.pairs[pair] = (stats.pairs[pair] || 0) + 1;
+  }
+
+  return stats;
+}
+
+/**
+ * Finds entries whose source or translation contains a search string
+ * @param {string} query - Case-insensitive search string
+ * @returns {Array<Object>} - Matching entries
+ */
+export function searchTranslationMemory(query) {
+  const needle = query.toLowerCase();
+  return Object.values(entries || {}).filter(entry =>
+    entry.source.toLowerCase().includes(needle) ||
+    entry.translation.toLowerCase().includes(needle)
+  );
+}
+
+/**
+ * Exports the memory as JSON, or as TSV when the file name ends in .tsv
+ * @param {string} outputPath - Path of the export file
+ * @returns {Promise<number>} - Number of exported entries
+ */
+export async function exportTranslationMemory(outputPath) {
+  const list = Object.values(entries || {});
+  await fs.ensureDir(path.dirname(outputPath));
+
+  if (path.extname(outputPath).toLowerCase() === '.tsv') {
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\r?\n/g, '\\n');
+    const lines = ['source_lang\ttarget_lang\tsource\ttranslation\thits\tlast_used_at'];
+    for (const entry of list) {
+      lines.push([entry.sourceLang, entry.targetLang, entry.source, entry.translation, entry.hits, entry.lastUsedAt]
+        .map(escape).join('\t'));
+    }
+    await fs.writeFile(outputPath, lines.join('\n') + '\n', 'utf-8');
+  } else {
+    await fs.writeJson(outputPath, list, { spaces: 2 });
+  }
+
+  return list.length;
+}
+
+/**
+ * Removes entries that have not been used for a number of days
+ * @param {number} olderThanDays - Maximum age in days since last use
+ * @returns {number} - Number of removed entries
+ */
+export function pruneTranslationMemory(olderThanDays) {
+  const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+  let removed = 0;
+
+  for (const [key, entry] of Object.entries(entries || {})) {
+    if (Date.parse(entry.lastUsedAt) < cutoff) {
+      delete entries[key];
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Removes every entry from the memory
+ * @returns {number} - Number of removed entries
+ */
+export function clearTranslationMemory() {
+  const removed = Object.keys(entries || {}).length;
+  entries = {};
+  return removed;
+}
+
+/**
+ * Runs a `memory` CLI command
+ * @param {Array<string>} args - Command arguments (subcommand first)
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+export async function runMemoryCommand(args, options, env) {
+  const [subcommand, ...rest] = args;
+  const filePath = resolveMemoryPath(env);
+  await loadTranslationMemory(filePath);
+
+  switch (subcommand) {
+    case 'stats':
+    case undefined: {
+      const stats = getMemoryStats();
+      console.log(`🧠 Translation memory: ${filePath}`);
+      console.log(`   Entries: ${stats.entries}`);
+      console.log(`   Source characters stored: ${stats.characters}`);
+      console.log(`   Reuses: ${stats.hits}`);
+      for (const [pair, count] of Object.entries(stats.pairs)) {
+        console.log(`   ${pair}: ${count}`);
+      }
+      break;
+    }
+    case 'search': {
+      if (rest.length === 0) {
+        throw new UsageError('Usage: memory search <text>');
+      }
+      const matches = searchTranslationMemory(rest.join(' '));
+      matches.forEach(entry => {
+        console.log(`[${entry.sourceLang}→${entry.targetLang}] ${entry.source}\n   → ${entry.translation}`);
+      });
+      console.log(`\n🔎 ${matches.length} matching entries`);
+      break;
+    }
+    case 'export': {
+      if (rest.length === 0) {
+        throw new UsageError('Usage: memory export <file.json|file.tsv>');
+      }
+      const count = await exportTranslationMemory(path.resolve(rest[0]));
+      console.log(`📤 Exported ${count} entries to ${rest[0]}`);
+      break;
+    }
+    case 'prune': {
+      const days = Number(options.olderThan ?? 90);
+      if (!Number.isFinite(days) || days < 0) {
+        throw new UsageError('--older-than must be a number of days');
+      }
+      const removed = pruneTranslationMemory(days);
+      await saveTranslationMemory();
+      console.log(`🧹 Removed ${removed} entries unused for ${days} days`);
+      break;
+    }
+    case 'clear': {
+      const removed = clearTranslationMemory();
+      await saveTranslationMemory();
+      console.log(`🗑️  Removed ${removed} entries`);
+      break;
+    }
+    default:
+      throw new UsageError(`Unknown memory command: ${subcommand}`);
+  }
+}
@@ -1,101 +1,87 @@
 /**
- * DeepL API translator module
- * Handles translation requests with retry logic and error handling
+ * Translator module
+ * Handles translation requests through the configured provider with retry logic and error handling
  */
 
-import fetch from 'node-fetch';
-import { protectPlaceholders, restorePlaceholders, shouldTranslate, delay } from './utils.js';
-
-// DeepL Free API endpoint
-const DEEPL_API_URL = 'https://api-free.deepl.com/v2/translate';
+import {
+  protectPlaceholders,
+  restorePlaceholders,
+  placeholdersIntact,
+  hasTranslatableText,
+  shouldTranslate,
+  delay,
+  parseLanguageList,
+  buildProtectedPatterns
+} from './utils.js';
+import { lookupTranslation, storeTranslation } from './translationMemory.js';
+import { createScheduler } from './scheduler.js';
+import { createProvider } from './providers/index.js';
+import { ProviderError } from './providers/providerError.js';
+import { findGlossaryMisses } from './glossary.js';
+import { checkTranslation } from './qa.js';
+import { isIcuMessage, extractIcuUnits, applyIcuTranslation, adaptPluralCategories, printIcu } from './icu.js';
+import { translationOptionsFromEnv } from './projectConfig.js';
+import { unitIds } from './xliff.js';
 
 // Retry configuration
 const MAX_RETRIES = 3;
 const INITIAL_RETRY_DELAY = 1000; // 1 second
 const MAX_RETRY_DELAY = 10000; // 10 seconds
 
+// Tokens standing for arguments, "#" and nested plural/select arguments in ICU translation units
+const ICU_TOKEN_PATTERN = /\{[^{}]*\}/g;
+
+// Request scheduling defaults (overridable with REQUEST_CONCURRENCY / MAX_REQUESTS_PER_SECOND)
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_REQUESTS_PER_SECOND = 10;
+
 /**
- * Translates a single text string using DeepL API
+ * Translates a single text string using the configured provider
  * @param {string} text - Text to translate
  * @param {Object} config - Configuration object with API key and languages
  * @returns {Promise<string>} - Translated text
  */
 export async function translateText(text, config) {
-  // Validate input
-  if (!shouldTranslate(text)) {
-    return text;
-  }
-
-  // Protect special formatting codes
-  const { text: protectedText, map } = protectPlaceholders(text);
+  const { results, errors } = await translateBatch([text], config);
 
-  // If nothing left to translate after protection, return original
-  if (!shouldTranslate(protectedText)) {
-    return text;
+  if (errors.length > 0) {
+    throw errors[0].error;
   }
 
-  // Translate with retry logic
-  const translatedText = await translateWithRetry(protectedText, config);
-
-  // Restore formatting codes
-  const restoredText = restorePlaceholders(translatedText, map);
-
-  return restoredText;
+  return results[0];
 }
 
 /**
- * Translates text with automatic retry on failure
- * @param {string} text - Text to translate
+ * Translates texts with automatic retry on failure
+ * All texts are sent to the configured provider in a single request and returned in the same order
+ * @param {Array<string>} texts - Texts to translate
  * @param {Object} config - Configuration object
  * @param {number} attempt - Current attempt number
- * @returns {Promise<string>} - Translated text
+ * @returns {Promise<Array<string>>} - Translated texts
  */
-async function translateWithRetry(text, config, attempt = 1) {
+async function translateWithRetry(texts, config, attempt = 1) {
   try {
-    const response = await fetch(DEEPL_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Authorization': `DeepL-Auth-Key ${config.apiKey}`
-      },
-      body: new URLSearchParams({
-        text: text,
-        source_lang: config.sourceLang,
-        target_lang: config.targetLang
-      })
-    });
+    // Wait for a free slot in the shared request scheduler
+    const translations = await config.scheduler.schedule(() => config.provider.translate(texts, config));
+    config.scheduler.reportSuccess();
+    return translations;
+
+  } catch (error) {
+    // Handle rate limiting: the scheduler pauses every request and lowers its rate
+    if (error instanceof ProviderError && error.status === 429) {
+      const retryDelay = error.retryAfter ?? Math.min(
+        INITIAL_RETRY_DELAY * Math.pow(2, attempt - 1),
+        MAX_RETRY_DELAY
+      );
+      config.scheduler.reportRateLimit(retryDelay);
 
-    // Handle rate limiting
-    if (response.status === 429) {
       if (attempt <= MAX_RETRIES) {
-        const retryDelay = Math.min(
-          INITIAL_RETRY_DELAY * Math.pow(2, attempt - 1),
-          MAX_RETRY_DELAY
-        );
         console.warn(`Rate limited. Retrying in ${retryDelay}ms... (Attempt ${attempt}/${MAX_RETRIES})`);
-        await delay(retryDelay);
-        return translateWithRetry(text, config, attempt + 1);
-      } else {
-        throw new Error('Max retries reached due to rate limiting');
+        return translateWithRetry(texts, config, attempt + 1);
       }
+      throw new Error('Max retries reached due to rate limiting');
     }
 
-    // Handle other HTTP errors
-    if (!response.ok) {
-      const errorBody = await response.text();
-      throw new Error(`DeepL API error (${response.status}): ${errorBody}`);
-    }
-
-    // Parse response
-    const data = await response.json();
-
-    if (!data.translations || data.translations.length === 0) {
-      throw new Error('No translation returned from DeepL API');
-    }
-
-    return data.translations[0].text;
-
-  } catch (error) {
     // Retry on network errors
     if (attempt <= MAX_RETRIES && (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT')) {
       const retryDelay = Math.min(
@@ -104,7 +90,7 @@ async function translateWithRetry(text, config, attempt = 1) {
       );
       console.warn(`Network error. Retrying in ${retryDelay}ms... (Attempt ${attempt}/${MAX_RETRIES})`);
       await delay(retryDelay);
-      return translateWithRetry(text, config, attempt + 1);
+      return translateWithRetry(texts, config, attempt + 1);
     }
 
     // Re-throw if max retries reached or non-retryable error
@@ -114,35 +100,469 @@ async function translateWithRetry(text, config, attempt = 1) {
 
 /**
  * Translates an array of texts in batch
+ * Strings are protected, looked up in the translation memory and de-duplicated,
+ * then packed into multi-text requests within the provider's limits.
+ * Failed texts keep their original value.
+ * With config.xliffImport set, translations are taken from an imported XLIFF file instead
  * @param {Array<string>} texts - Array of texts to translate
- * @param {Object} config - Configuration object
- * @param {Function} onProgress - Progress callback (current, total)
- * @returns {Promise<Array<string>>} - Array of translated texts
+ * @param {Object} config - Configuration object (keyPaths: key paths of the texts, for XLIFF unit IDs)
+ * @param {Function} onProgress - Progress callback (completed, total, updates) where
+ *   updates is a Map of text index to translated text resolved since the last call
+ * @returns {Promise<Object>} - { results: translated texts, errors: [{ index, error }] }
  */
 export async function translateBatch(texts, config, onProgress = null) {
-  const results = [];
+  if (config.xliffImport) {
+    return importBatch(texts, config, onProgress);
+  }
+
+  const results = [...texts];
+  const errors = [];
+  let completed = 0;
+
+  // ICU messages are translated branch by branch first and reported with the other resolved texts
+  const icu = await translateIcuMessages(texts, config);
+  errors.push(...icu.errors);
+
+  const { pending, resolved } = planBatch(texts, config, icu.results);
+  for (const [index, text] of icu.results) {
+    resolved.set(index, text);
+  }
+
+  // Report texts that were resolved without an API call
+  if (resolved.size > 0) {
+    for (const [index, text] of resolved) {
+      results[index] = text;
+    }
+    completed += resolved.size;
+    if (onProgress) {
+      await onProgress(completed, texts.length, resolved);
+    }
+  }
+
+  // Send the remaining unique texts in packed requests, concurrently through the scheduler.
+  // Progress callbacks are chained so incremental writes never overlap
+  let progressChain = Promise.resolve();
+
+  await Promise.all(packBatches([...pending.keys()], config.provider).map(async (chunk) => {
+    const indexes = chunk.flatMap(text => pending.get(text).map(({ index }) => index));
+    const updates = new Map();
 
-  for (let i = 0; i < texts.length; i++) {
     try {
-      const translated = await translateText(texts[i], config);
-      results.push(translated);
+      const translatedTexts = await translateChecked(chunk, config);
 
-      if (onProgress) {
-        onProgress(i + 1, texts.length);
-      }
+      for (let i = 0; i < chunk.length; i++) {
+        // Placeholders were still damaged after a retry: keep the source text
+        if (translatedTexts[i] === null) {
+          for (const { index } of pending.get(chunk[i])) {
+            errors.push({ index, error: new Error('Placeholders were changed by the translation') });
+            if (config.summary) {
+              config.summary.placeholderIssues.push({ file: config.fileName, text: texts[index] });
+            }
+          }
+          continue;
+        }
+
+        if (config.useMemory) {
+          await storeTranslation(chunk[i], translatedTexts[i], config);
+        }
 
-      // Small delay to avoid overwhelming the API
-      if (i < texts.length - 1) {
-        await delay(100);
+        // Restore formatting codes for every occurrence of this text
+        for (const { index, map } of pending.get(chunk[i])) {
+          results[index] = restorePlaceholders(translatedTexts[i], map);
+          updates.set(index, results[index]);
+        }
       }
     } catch (error) {
-      console.error(`Error translating text ${i + 1}/${texts.length}:`, error.message);
-      // Keep original text on error
-      results.push(texts[i]);
+      console.error(`\nError translating ${indexes.length} text(s):`, error.message);
+      // Keep original texts on error
+      indexes.forEach(index => errors.push({ index, error }));
+    }
+
+    completed += indexes.length;
+    if (onProgress) {
+      const progress = completed;
+      progressChain = progressChain.then(() => onProgress(progress, texts.length, updates));
+      await progressChain;
+    }
+  }));
+
+  // ICU messages were checked per translation unit
+  const failed = new Set([...errors.map(({ index }) => index), ...icu.results.keys()]);
+  checkResults(texts, results, failed, config);
+
+  return { results, errors };
+}
+
+/**
+ * Takes the translations of a batch from an imported XLIFF file, matched by unit ID (key path)
+ * Units without a translation, or whose source text changed since the export, keep their source
+ * @param {Array<string>} texts - Array of texts to translate
+ * @param {Object} config - Configuration object (xliffImport: unit ID → { source, target })
+ * @param {Function} onProgress - Progress callback, as for translateBatch
+ * @returns {Promise<Object>} - { results: translated texts, errors: [{ index, error }] }
+ */
+async function importBatch(texts, config, onProgress) {
+  const results = [...texts];
+  const errors = [];
+  const updates = new Map();
+  const ids = unitIds(texts.length, config.keyPaths);
+  let missing = 0;
+
+  for (const [index, text] of texts.entries()) {
+    const { text: protectedText, map } = protectPlaceholders(text, config.placeholderPatterns);
+    const unit = config.xliffImport.get(ids[index]);
+
+    // Texts that are not exported are kept as they are
+    if (!shouldTranslate(text) || !hasTranslatableText(protectedText)) {
+      updates.set(index, text);
+    } else if (!unit || unit.target === null) {
+      errors.push({ index, error: new Error(`No translation for "${ids[index]}" in the XLIFF file`) });
+      missing++;
+    } else if (unit.source === null || restorePlaceholders(unit.source, map) !== text) {
+      errors.push({ index, error: new Error(`The source of "${ids[index]}" changed since the XLIFF export`) });
+      console.warn(`⚠️  The source of "${ids[index]}" changed since the XLIFF export, kept as-is`);
+    } else if (!placeholdersIntact(protectedText, unit.target)) {
+      errors.push({ index, error: new Error('Placeholders were changed by the translation') });
+      if (config.summary) {
+        config.summary.placeholderIssues.push({ file: config.fileName, text });
+      }
+    } else {
+      results[index] = restorePlaceholders(unit.target, map);
+      updates.set(index, results[index]);
+      // Human translations are reused by later machine translation runs
+      if (config.useMemory) {
+        await storeTranslation(protectedText, unit.target, config);
+      }
+    }
+  }
+
+  if (missing > 0) {
+    console.warn(`⚠️  ${missing} values have no translation in the XLIFF file and were kept as-is`);
+  }
+  if (onProgress) {
+    await onProgress(texts.length, texts.length, updates);
+  }
+
+  checkResults(texts, results, new Set(errors.map(({ index }) => index)), config);
+  return { results, errors };
+}
+
+/**
+ * Checks translated texts against the glossary and the QA rules, adding what they find to the run summary
+ * @param {Array<string>} texts - Source texts
+ * @param {Array<string>} results - Translated texts
+ * @param {Set<number>} failed - Indexes of texts that kept their source or were checked already
+ * @param {Object} config - Configuration object
+ */
+function checkResults(texts, results, failed, config) {
+  // Local glossary check: every glossary term in a source text should appear
+  // as its expected translation in the result
+  if (config.glossary && config.summary) {
+    texts.forEach((text, index) => {
+      if (failed.has(index) || results[index] === text) {
+        return;
+      }
+      for (const miss of findGlossaryMisses(text, results[index], config.glossary.entries)) {
+        config.summary.glossaryMisses.push({ file: config.fileName, ...miss, translation: results[index] });
+      }
+    });
+  }
+
+  // QA: compare every source/target pair (failed texts kept their source and are already reported)
+  if (config.qa && config.summary) {
+    texts.forEach((text, index) => {
+      if (failed.has(index) || !shouldTranslate(text)) {
+        return;
+      }
+      for (const issue of checkTranslation(text, results[index], config.qa)) {
+        config.summary.qaIssues.push({
+          file: config.fileName,
+          language: config.targetLang,
+          ...issue,
+          source: text,
+          target: results[index]
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Translates texts and checks that every translation kept its placeholder tags
+ * Damaged translations are requested once more, since providers do not always return the same result;
+ * those still damaged come back as null
+ * @param {Array<string>} texts - Protected texts to translate
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Array<string|null>>} - Translated texts in the same order (null = placeholders damaged)
+ */
+async function translateChecked(texts, config) {
+  const translations = await translateWithRetry(texts, config);
+  countSentTexts(texts, config);
+
+  const damaged = [];
+  texts.forEach((text, i) => {
+    if (!placeholdersIntact(text, translations[i])) {
+      damaged.push(i);
     }
+  });
+
+  if (damaged.length === 0) {
+    return translations;
   }
 
-  return results;
+  const retryTexts = damaged.map(i => texts[i]);
+  let retried = [];
+  try {
+    retried = await translateWithRetry(retryTexts, config);
+    countSentTexts(retryTexts, config);
+  } catch (error) {
+    console.error(`\nError retrying ${retryTexts.length} text(s) with damaged placeholders:`, error.message);
+  }
+
+  damaged.forEach((textIndex, i) => {
+    const intact = retried[i] !== undefined && placeholdersIntact(texts[textIndex], retried[i]);
+    translations[textIndex] = intact ? retried[i] : null;
+  });
+
+  return translations;
+}
+
+/**
+ * Estimates what translating texts would send to the provider, without calling it
+ * Runs the same protection, memory lookup and de-duplication steps as translateBatch
+ * With config.xliffUnits set, the texts are also recorded there as XLIFF units
+ * @param {Array<string>} texts - Array of texts to translate
+ * @param {Object} config - Configuration object (keyPaths: key paths of the texts, for XLIFF unit IDs)
+ * @returns {Object} - { strings, characters } that would be sent (characters are billable)
+ */
+export function estimateBatch(texts, config) {
+  if (config.xliffUnits) {
+    config.xliffUnits.push(...exportUnits(texts, config));
+  }
+
+  const messages = parseIcuMessages(texts);
+  const unitTexts = [...messages.values()].flatMap(({ units }) => units.map(unit => unit.template));
+  const sent = [
+    ...planBatch(texts, config, messages).pending.keys(),
+    ...planBatch(unitTexts, icuUnitConfig(config)).pending.keys()
+  ];
+  countSentTexts(sent, config);
+
+  return {
+    strings: sent.length,
+    characters: sent.reduce((sum, text) => sum + text.length, 0)
+  };
+}
+
+/**
+ * Builds the XLIFF units of texts: every text that would be translated, protected, with its key path as ID
+ * @param {Array<string>} texts - Array of texts to translate
+ * @param {Object} config - Configuration object
+ * @returns {Array<Object>} - Units: [{ id, source, placeholders }]
+ */
+function exportUnits(texts, config) {
+  const ids = unitIds(texts.length, config.keyPaths);
+
+  return texts.flatMap((text, index) => {
+    const { text: protectedText, map } = protectPlaceholders(text, config.placeholderPatterns);
+    if (!shouldTranslate(text) || !hasTranslatableText(protectedText)) {
+      return [];
+    }
+    return [{ id: ids[index], source: protectedText, placeholders: map }];
+  });
+}
+
+/**
+ * Parses the ICU messages among texts
+ * Texts that only look like ICU but do not parse are left to be translated as plain text
+ * @param {Array<string>} texts - Texts to translate
+ * @returns {Map<number, Object>} - Text index → { nodes, units } from extractIcuUnits
+ */
+function parseIcuMessages(texts) {
+  const messages = new Map();
+
+  texts.forEach((text, index) => {
+    if (isIcuMessage(text)) {
+      try {
+        messages.set(index, extractIcuUnits(text));
+      } catch {
+        // Not valid ICU syntax
+      }
+    }
+  });
+
+  return messages;
+}
+
+/**
+ * Derives the configuration for ICU translation units, whose brace tokens are always protected
+ * @param {Object} config - Configuration object
+ * @returns {Object} - Configuration for the units
+ */
+function icuUnitConfig(config) {
+  return {
+    ...config,
+    placeholderPatterns: [ICU_TOKEN_PATTERN, ...(config.placeholderPatterns || buildProtectedPatterns())]
+  };
+}
+
+/**
+ * Translates the ICU messages among texts: only the literal text of each message body is sent,
+ * then plural arguments get the categories the target language needs
+ * @param {Array<string>} texts - Texts to translate
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} - { results: Map of text index → message, errors: [{ index, error }] }
+ */
+async function translateIcuMessages(texts, config) {
+  const messages = parseIcuMessages(texts);
+  const results = new Map();
+  const errors = [];
+
+  if (messages.size === 0) {
+    return { results, errors };
+  }
+
+  const owners = [];
+  const units = [];
+  for (const [index, message] of messages) {
+    for (const unit of message.units) {
+      owners.push(index);
+      units.push(unit);
+    }
+  }
+
+  const translated = await translateBatch(units.map(unit => unit.template), icuUnitConfig(config));
+  const failed = new Map(translated.errors.map(({ index, error }) => [owners[index], error]));
+
+  for (const [index, message] of messages) {
+    if (failed.has(index)) {
+      results.set(index, texts[index]);
+      errors.push({ index, error: failed.get(index) });
+      continue;
+    }
+
+    units.forEach((unit, unitIndex) => {
+      if (owners[unitIndex] === index) {
+        applyIcuTranslation(unit, translated.results[unitIndex]);
+      }
+    });
+
+    const generated = adaptPluralCategories(message.nodes, config.targetLang);
+    results.set(index, printIcu(message.nodes));
+
+    // Branches copied from "other" need a human to adjust their wording
+    if (config.qa && config.summary && !config.qa.ignore.includes('plurals')) {
+      for (const description of generated) {
+        config.summary.qaIssues.push({
+          file: config.fileName,
+          language: config.targetLang,
+          check: 'plurals',
+          severity: 'warning',
+          message: `Generated plural branch needs review: ${description}`,
+          source: texts[index],
+          target: results.get(index)
+        });
+      }
+    }
+  }
+
+  return { results, errors };
+}
+
+/**
+ * Adds texts sent to the provider to the run summary
+ * @param {Array<string>} texts - Protected texts as sent
+ * @param {Object} config - Configuration object
+ */
+function countSentTexts(texts, config) {
+  if (config.summary) {
+    config.summary.sentStrings += texts.length;
+    config.summary.sentCharacters += texts.reduce((sum, text) => sum + text.length, 0);
+  }
+}
+
+/**
+ * Decides how each text is handled: kept as-is, reused from the translation memory,
+ * or sent to the provider (grouped by protected form so duplicates are sent once)
+ * @param {Array<string>} texts - Array of texts to translate
+ * @param {Object} config - Configuration object
+ * @param {Map<number, *>} handled - Indexes already handled elsewhere (ICU messages), skipped here
+ * @returns {Object} - { pending: Map of protected text to [{ index, map }], resolved: Map of index to text }
+ */
+function planBatch(texts, config, handled = new Map()) {
+  // Texts that need an API call, grouped by their protected form
+  const pending = new Map();
+  const resolved = new Map();
+
+  texts.forEach((text, index) => {
+    if (handled.has(index)) {
+      return;
+    }
+
+    // Validate input
+    if (!shouldTranslate(text)) {
+      resolved.set(index, text);
+      return;
+    }
+
+    // Protect special formatting codes (patterns from the project configuration, or every preset)
+    const { text: protectedText, map } = protectPlaceholders(text, config.placeholderPatterns);
+
+    // If nothing left to translate after protection, keep original
+    if (!hasTranslatableText(protectedText)) {
+      resolved.set(index, text);
+      return;
+    }
+
+    // Reuse an earlier translation from the translation memory when possible
+    const cached = config.useMemory ? lookupTranslation(protectedText, config) : null;
+    if (cached !== null) {
+      resolved.set(index, restorePlaceholders(cached, map));
+      if (config.summary) {
+        config.summary.cacheHits++;
+        config.summary.cachedCharacters += protectedText.length;
+      }
+      return;
+    }
+
+    if (!pending.has(protectedText)) {
+      pending.set(protectedText, []);
+    }
+    pending.get(protectedText).push({ index, map });
+  });
+
+  return { pending, resolved };
+}
+
+/**
+ * Splits texts into request-sized chunks
+ * @param {Array<string>} texts - Texts to send
+ * @param {Object} provider - Provider whose maxBatchTexts / maxBatchBytes limits apply
+ * @returns {Array<Array<string>>} - Chunks within the provider's limits
+ */
+function packBatches(texts, provider) {
+  const chunks = [];
+  let current = [];
+  let currentBytes = 0;
+
+  for (const text of texts) {
+    const bytes = Buffer.byteLength(encodeURIComponent(text), 'utf-8') + 6; // "&text="
+
+    if (current.length > 0 && (current.length >= provider.maxBatchTexts || currentBytes + bytes > provider.maxBatchBytes)) {
+      chunks.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+
+    current.push(text);
+    currentBytes += bytes;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
 }
 
 /**
@@ -151,9 +571,23 @@ export async function translateBatch(texts, config, onProgress = null) {
  * @returns {Object} - Translator configuration
  */
 export function createConfig(env) {
+  const targetLangs = parseLanguageList(env.TARGET_LANG);
+
   return {
     apiKey: env.DEEPL_API_KEY,
+    provider: createProvider(env),
     sourceLang: env.SOURCE_LANG,
-    targetLang: env.TARGET_LANG
+    targetLang: targetLangs[0],
+    targetLangs,
+    useMemory: env.TRANSLATION_MEMORY !== 'off',
+    // Dry runs only count what would be sent (see estimateBatch)
+    dryRun: env.DRY_RUN === 'true',
+    // Global translation options; per-file settings from translator.config.json are merged on top
+    translationOptions: translationOptionsFromEnv(env),
+    // One scheduler for the whole run, shared by every handler, file and language
+    scheduler: createScheduler({
+      concurrency: Number(env.REQUEST_CONCURRENCY || DEFAULT_CONCURRENCY),
+      maxRate: Number(env.MAX_REQUESTS_PER_SECOND || DEFAULT_MAX_REQUESTS_PER_SECOND)
+    })
   };
 }
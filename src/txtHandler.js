@@ -5,7 +5,8 @@
 
 import fs from 'fs-extra';
 import path from 'path';
-import { translateText } from './translator.js';
+import { translateBatch, estimateBatch } from './translator.js';
+import { loadSource } from './sourceCache.js';
 import cliProgress from 'cli-progress';
 
 /**
@@ -13,12 +14,13 @@ import cliProgress from 'cli-progress';
  * @param {string} inputPath - Path to input TXT file
  * @param {string} outputPath - Path to output TXT file
  * @param {Object} config - Translator configuration
+ * @returns {Promise<Object>} - { total, failed } value counts
  */
 export async function translateTxtFile(inputPath, outputPath, config) {
-  console.log(`\n📄 Processing TXT file: ${path.basename(inputPath)}`);
+  console.log(`\n📄 Processing TXT file: ${path.basename(inputPath)} (${config.sourceLang} → ${config.targetLang})`);
 
-  // Read file content
-  const fileContent = await fs.readFile(inputPath, 'utf-8');
+  // Read file content (read once per run, reused for every language)
+  const { content: fileContent } = await loadSource(inputPath);
   const lines = fileContent.split(/\r?\n/);
 
   // Filter lines that need translation
@@ -26,12 +28,21 @@ export async function translateTxtFile(inputPath, outputPath, config) {
     .map((line, index) => ({ line, index }))
     .filter(({ line }) => line.trim().length > 0);
 
+  // Line numbers identify the lines in XLIFF exchange files
+  const txtConfig = { ...config, keyPaths: translatableLines.map(({ index }) => String(index + 1)) };
+
+  // Dry run: count what would be sent, without calling the API or writing output
+  if (config.dryRun) {
+    const estimate = estimateBatch(translatableLines.map(({ line }) => line), txtConfig);
+    return { total: translatableLines.length, failed: 0, estimate };
+  }
+
   if (translatableLines.length === 0) {
     console.log('⚠️  No translatable content found');
     // Still create output file with original content
     await fs.ensureDir(path.dirname(outputPath));
     await fs.writeFile(outputPath, fileContent, 'utf-8');
-    return;
+    return { total: 0, failed: 0 };
   }
 
   console.log(`📝 Found ${translatableLines.length} lines to translate`);
@@ -49,27 +60,29 @@ export async function translateTxtFile(inputPath, outputPath, config) {
 
   progressBar.start(translatableLines.length, 0);
 
-  // Translate each line and write incrementally
   const translatedLines = [...lines];
-  for (let i = 0; i < translatableLines.length; i++) {
-    const { line, index } = translatableLines[i];
-    try {
-      const translated = await translateText(line, config);
-      translatedLines[index] = translated;
-      
-      // Write current state to file after each translation
-      const output = translatedLines.join('\n');
-      await fs.writeFile(outputPath, output, 'utf-8');
-      
-      progressBar.update(i + 1);
-    } catch (error) {
-      console.error(`\n❌ Error translating line ${index + 1}: ${error.message}`);
-      // Keep original line on error
-      progressBar.update(i + 1);
+
+  // Translate all lines in batches and write incrementally
+  const values = translatableLines.map(({ line }) => line);
+  const { errors } = await translateBatch(values, txtConfig, async (completed, total, updates) => {
+    for (const [index, translated] of updates) {
+      translatedLines[translatableLines[index].index] = translated;
     }
-  }
+
+    // Write current state to file after each batch
+    const output = translatedLines.join('\n');
+    await fs.writeFile(outputPath, output, 'utf-8');
+
+    progressBar.update(completed);
+  });
 
   progressBar.stop();
 
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} lines could not be translated and were kept as-is`);
+  }
+
   console.log(`✅ Translation complete: ${path.basename(outputPath)}`);
+
+  return { total: translatableLines.length, failed: errors.length };
 }
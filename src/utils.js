@@ -4,54 +4,154 @@
  */
 
 /**
- * Patterns to protect from translation
+ * Named groups of patterns to protect from translation
+ * Where matches overlap, the pattern listed first wins, so longer forms come before their prefixes
+ */
+export const PLACEHOLDER_PRESETS = {
+  legacy: [
+    // Hex colors, Spigot style: &x&F&F&0&0&A&A (also with §)
+    /[&§]x(?:[&§][0-9a-f]){6}/gi,
+    // Hex colors, short style: &#FF00AA (also with §)
+    /[&§]#[0-9a-f]{6}/gi,
+    // Minecraft color codes: &0-9, &a-f, &r (reset), &l (bold), &m (strikethrough), &n (underline), &o (italic), &k (obfuscated)
+    // and the same codes with the section sign: §a, §l, ...
+    /[&§][0-9a-fk-or]/gi
+  ],
+  minimessage: [
+    // MiniMessage tags: <red>, </red>, <#FF00AA>, <gradient:#f00:#0f0>, <hover:show_text:'...'>, <click:run_command:/spawn>, <br/>
+    /<\/?(?:#[0-9a-f]{6}|[a-z_!?][a-z0-9_-]*)(?::(?:'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|[^<>:'"]+))*\/?>/gi
+  ],
+  placeholderapi: [
+    // PlaceholderAPI placeholders: %player_name%, %vault_eco_balance%
+    /%[a-z0-9]+_[a-z0-9_.:-]*%/gi
+  ],
+  braces: [
+    // Named placeholders: {player}, {amount}, etc.
+    /\{[^}]+\}/g
+  ],
+  printf: [
+    // Double percentage (escaped)
+    /%%/g,
+    // Variable placeholders: %s, %d, %f, positional %1$s, and with width/precision: %5d, %.2f
+    /%(?:\d+\$)?[-#+0,(]*\d*(?:\.\d+)?[sdfioxXeEgGcpnb]/g
+  ],
+  escapes: [
+    // Escaped line breaks and tabs kept as text: \n, \r, \t
+    /\\[nrt]/g
+  ]
+};
+
+// Presets used when a project configuration does not choose its own
+export const DEFAULT_PLACEHOLDER_PRESETS = Object.keys(PLACEHOLDER_PRESETS);
+
+/**
+ * Patterns to protect from translation by default
  * These include Minecraft color codes, formatting codes, and variable placeholders
  */
-const PROTECTED_PATTERNS = [
-  // Minecraft color codes: &0-9, &a-f, &r (reset), &l (bold), &m (strikethrough), &n (underline), &o (italic), &k (obfuscated)
-  /&[0-9a-fk-or]/gi,
-  // Variable placeholders: %s, %d, %f, etc.
-  /%[sdfioxXeEgGcpn]/g,
-  // Named placeholders: {player}, {amount}, etc.
-  /\{[^}]+\}/g,
-  // Double percentage (escaped)
-  /%%/g,
-];
+const PROTECTED_PATTERNS = buildProtectedPatterns();
+
+// Tag sent in place of a protected code. Texts are sent as XML (DeepL tag_handling=xml),
+// so the provider keeps the tag in place instead of translating or dropping it.
+// Empty elements (<x id="0"></x>) are accepted too, as some providers expand them
+const PLACEHOLDER_TAG = /<x\s+id\s*=\s*["'](\d+)["']\s*(?:\/>|>\s*<\/x>)/g;
+
+// XML entities escaped in the text around placeholder tags
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Builds the list of patterns to protect from placeholder settings
+ * Custom patterns come first so they win over presets where matches overlap
+ * @param {Object} options - { presets: preset names, patterns: regex strings or { pattern, flags } }
+ * @returns {Array<RegExp>} - Global regular expressions
+ */
+export function buildProtectedPatterns(options = {}) {
+  const { presets = DEFAULT_PLACEHOLDER_PRESETS, patterns = [] } = options;
+
+  const custom = patterns.map(entry => {
+    const { pattern, flags = '' } = typeof entry === 'string' ? { pattern: entry } : entry;
+    return new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`);
+  });
+
+  return [...custom, ...presets.flatMap(name => PLACEHOLDER_PRESETS[name])];
+}
+
+/**
+ * Validates placeholder settings from the project configuration
+ * @param {Object} options - { presets, patterns }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validatePlaceholderOptions(options) {
+  const errors = [];
+  const { presets, patterns, ...unknown } = options;
+
+  for (const key of Object.keys(unknown)) {
+    errors.push(`unknown option "${key}" (expected presets, patterns)`);
+  }
+
+  if (presets !== undefined) {
+    if (!Array.isArray(presets)) {
+      errors.push('presets must be an array');
+    } else {
+      presets.filter(name => !PLACEHOLDER_PRESETS[name]).forEach(name => {
+        errors.push(`unknown preset "${name}" (expected ${DEFAULT_PLACEHOLDER_PRESETS.join(', ')})`);
+      });
+    }
+  }
+
+  if (patterns !== undefined && !Array.isArray(patterns)) {
+    errors.push('patterns must be an array');
+  } else {
+    (patterns || []).forEach((entry, index) => {
+      const { pattern, flags = '' } = typeof entry === 'string' ? { pattern: entry } : (entry || {});
+      try {
+        const regex = new RegExp(pattern, flags);
+        if (typeof pattern !== 'string' || regex.test('')) {
+          errors.push(`patterns[${index}] must be a non-empty regular expression that cannot match an empty string`);
+        }
+      } catch (error) {
+        errors.push(`patterns[${index}] is not a valid regular expression: ${error.message}`);
+      }
+    });
+  }
+
+  return errors;
+}
 
 /**
- * Protects special formatting codes by replacing them with placeholders
+ * Protects special formatting codes by replacing them with placeholder tags
+ * The rest of the text is XML-escaped, so the result can be sent with XML tag handling
  * @param {string} text - Original text with formatting codes
+ * @param {Array<RegExp>} patterns - Global patterns to protect (defaults to every preset)
  * @returns {Object} - { text: sanitized text, map: placeholder mapping }
  */
-export function protectPlaceholders(text) {
+export function protectPlaceholders(text, patterns = PROTECTED_PATTERNS) {
   if (!text || typeof text !== 'string') {
     return { text: text || '', map: [] };
   }
 
-  let protectedText = text;
-  const placeholderMap = [];
-  let placeholderIndex = 0;
-
-  // Process each pattern type
-  PROTECTED_PATTERNS.forEach((pattern) => {
-    const matches = [...protectedText.matchAll(pattern)];
-    
-    matches.forEach((match) => {
-      const original = match[0];
-      const placeholder = `[[PROTECTED_${placeholderIndex}]]`;
-      
-      // Store the mapping
-      placeholderMap.push({
-        placeholder,
-        original,
-        index: placeholderIndex
-      });
-      
-      // Replace first occurrence (to handle duplicates correctly)
-      protectedText = protectedText.replace(original, placeholder);
-      placeholderIndex++;
-    });
+  // Find codes in pattern order; a match overlapping an earlier one is left alone
+  const matches = [];
+  patterns.forEach((pattern) => {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (match[0].length > 0 && !matches.some(other => start < other.end && end > other.start)) {
+        matches.push({ start, end, original: match[0] });
+      }
+    }
   });
+  matches.sort((a, b) => a.start - b.start);
+
+  let protectedText = '';
+  let position = 0;
+  const placeholderMap = matches.map(({ start, end, original }, index) => {
+    const placeholder = `<x id="${index}"/>`;
+    protectedText += escapeXml(text.slice(position, start)) + placeholder;
+    position = end;
+    return { placeholder, original, index };
+  });
+  protectedText += escapeXml(text.slice(position));
 
   return {
     text: protectedText,
@@ -60,24 +160,81 @@ export function protectPlaceholders(text) {
 }
 
 /**
- * Restores original formatting codes from placeholders
- * @param {string} text - Translated text with placeholders
+ * Restores original formatting codes from placeholder tags and unescapes the text
+ * Tags that are not in the map are dropped; use placeholdersIntact to detect them first
+ * @param {string} text - Translated text with placeholder tags
  * @param {Array} map - Placeholder mapping from protectPlaceholders
  * @returns {string} - Text with restored formatting codes
  */
 export function restorePlaceholders(text, map) {
-  if (!text || typeof text !== 'string' || !map || map.length === 0) {
+  if (!text || typeof text !== 'string') {
     return text || '';
   }
 
-  let restoredText = text;
+  // split() with a capture group alternates text segments and tag IDs
+  return text.split(PLACEHOLDER_TAG).map((part, i) => {
+    if (i % 2 === 0) {
+      return unescapeXml(part);
+    }
+    const entry = (map || [])[Number(part)];
+    return entry ? entry.original : '';
+  }).join('');
+}
 
-  // Restore placeholders in reverse order to avoid conflicts
-  [...map].reverse().forEach(({ placeholder, original }) => {
-    restoredText = restoredText.replace(placeholder, original);
-  });
+/**
+ * Checks that a translation kept every placeholder tag of its source exactly once
+ * and that no tag was mangled into something unrecognisable
+ * @param {string} source - Protected source text
+ * @param {string} translation - Translated text
+ * @returns {boolean} - True if both contain the same set of placeholder tags
+ */
+export function placeholdersIntact(source, translation) {
+  const ids = value => [...value.matchAll(PLACEHOLDER_TAG)].map(match => match[1]).sort();
+  const expected = ids(source);
+  const actual = ids(translation);
+
+  if (expected.length !== actual.length || expected.some((id, i) => id !== actual[i])) {
+    return false;
+  }
 
-  return restoredText;
+  // Leftover "<x" fragments mean a tag was damaged rather than removed
+  // (the source cannot contain any: its text is XML-escaped)
+  return !/<\/?x\b/.test(translation.replace(PLACEHOLDER_TAG, ''));
+}
+
+/**
+ * Checks whether a protected text has anything left to translate besides placeholder tags
+ * @param {string} protectedText - Text from protectPlaceholders
+ * @returns {boolean} - True if some text remains
+ */
+export function hasTranslatableText(protectedText) {
+  return protectedText.replace(PLACEHOLDER_TAG, '').trim().length > 0;
+}
+
+/**
+ * Escapes the XML special characters of plain text
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+export function escapeXml(text) {
+  return text.replace(/[&<>]/g, char => XML_ESCAPES[char]);
+}
+
+/**
+ * Unescapes named and numeric XML entities
+ * @param {string} text - Escaped text
+ * @returns {string} - Plain text
+ */
+export function unescapeXml(text) {
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(amp|lt|gt|quot|apos));/gi, (match, hex, decimal, name) => {
+    if (hex) {
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    if (decimal) {
+      return String.fromCodePoint(Number(decimal));
+    }
+    return XML_ENTITIES[name.toLowerCase()];
+  });
 }
 
 /**
@@ -97,7 +254,7 @@ export function shouldTranslate(text) {
 
   // Don't translate strings that are only formatting codes
   const { text: protectedText } = protectPlaceholders(text);
-  if (protectedText.trim().length === 0) {
+  if (!hasTranslatableText(protectedText)) {
     return false;
   }
 
@@ -113,6 +270,24 @@ export function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Parses a comma- or space-separated list of language codes
+ * @param {string} value - Language list (e.g. "TR, DE,FR")
+ * @returns {Array<string>} - Unique, upper-cased language codes
+ */
+export function parseLanguageList(value) {
+  if (!value || typeof value !== 'string') {
+    return [];
+  }
+
+  const languages = value
+    .split(/[\s,]+/)
+    .map(lang => lang.trim().toUpperCase())
+    .filter(lang => lang.length > 0);
+
+  return [...new Set(languages)];
+}
+
 /**
  * Validates environment configuration
  * @param {Object} env - Environment variables
@@ -121,16 +296,20 @@ export function delay(ms) {
 export function validateConfig(env) {
   const errors = [];
 
-  if (!env.DEEPL_API_KEY) {
-    errors.push('DEEPL_API_KEY is required');
-  }
-
   if (!env.SOURCE_LANG) {
     errors.push('SOURCE_LANG is required');
   }
 
   if (!env.TARGET_LANG) {
     errors.push('TARGET_LANG is required');
+  } else if (parseLanguageList(env.TARGET_LANG).length === 0) {
+    errors.push('TARGET_LANG must contain at least one language code');
+  }
+
+  for (const name of ['REQUEST_CONCURRENCY', 'MAX_REQUESTS_PER_SECOND']) {
+    if (env[name] !== undefined && env[name] !== '' && !(Number(env[name]) > 0)) {
+      errors.push(`${name} must be a positive number`);
+    }
   }
 
   if (!env.INPUT_DIR) {
@@ -146,3 +325,72 @@ export function validateConfig(env) {
     errors
   };
 }
+
+/**
+ * Converts a glob pattern into a regular expression
+ * Supports `*` (within one segment), `**` (any number of segments) and `?`
+ * @param {string} pattern - Glob pattern
+ * @param {string} separator - Segment separator (e.g. '/' for paths)
+ * @returns {RegExp} - Anchored regular expression
+ */
+export function globToRegExp(pattern, separator = '/') {
+  const sep = separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches zero segments
+      if (pattern.slice(i + 2, i + 2 + separator.length) === separator) {
+        source += `(?:.*${sep})?`;
+        i += 1 + separator.length;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += `[^${sep}]*`;
+    } else if (char === '?') {
+      source += `[^${sep}]`;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a path matches a glob pattern
+ * Patterns without a separator are matched against the file name only
+ * @param {string} filePath - Relative path using '/' separators
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} - True if the path matches
+ */
+export function matchesGlob(filePath, pattern) {
+  const normalizedPattern = pattern.replace(/\\/g, '/');
+  const target = normalizedPattern.includes('/')
+    ? filePath
+    : filePath.split('/').pop();
+
+  return globToRegExp(normalizedPattern).test(target);
+}
+
+/**
+ * Replaces ranges of a source text
+ * @param {string} content - Source text
+ * @param {Array<Object>} edits - [{ start, end, source }] non-overlapping ranges and their new text
+ * @returns {string} - Edited text
+ */
+export function replaceRanges(content, edits) {
+  let result = '';
+  let last = 0;
+
+  for (const edit of [...edits].sort((a, b) => a.start - b.start)) {
+    result += content.slice(last, edit.start) + edit.source;
+    last = edit.end;
+  }
+
+  return result + content.slice(last);
+}
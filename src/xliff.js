@@ -0,0 +1,346 @@
+/**
+ * XLIFF 1.2 / 2.0 exchange files
+ * Exports the values of any supported file as XLIFF units (key paths as unit IDs, protected
+ * codes as <ph> elements) for CAT tools, and reads translated XLIFF files back for import
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { escapeXml, unescapeXml } from './utils.js';
+import { parseXmlSource, getAttribute } from './xmlEditor.js';
+
+export const XLIFF_VERSIONS = ['1.2', '2.0'];
+export const DEFAULT_XLIFF_VERSION = '1.2';
+
+// Extensions of XLIFF files
+export const XLIFF_EXTENSIONS = ['.xlf', '.xliff'];
+
+// Placeholder tag of a protected text (see protectPlaceholders)
+const PLACEHOLDER_TAG = /<x id="(\d+)"\/>/g;
+
+// Inline elements read back as placeholders: <ph id="0">{player}</ph> (1.2) or <ph id="0" .../> (2.0)
+const PH_ELEMENT = /<ph\b[^>]*?\bid\s*=\s*["'](\d+)["'][^>]*?(?:\/>|>[\s\S]*?<\/ph>)/g;
+
+// Markers CAT tools add around segments and comments; their content is kept
+const MRK_TAG = /<\/?mrk\b[^>]*>/g;
+const CDATA_SECTION = /<!\[CDATA\[([\s\S]*?)\]\]>/g;
+
+// Unit IDs of XLIFF 2.0 must be NMTOKENs; other key paths are kept in the name attribute
+const NMTOKEN = /^[\w.:-]+$/u;
+
+/**
+ * Validates the XLIFF environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validateXliffConfig(env) {
+  const errors = [];
+
+  if (env.XLIFF_VERSION && !XLIFF_VERSIONS.includes(env.XLIFF_VERSION)) {
+    errors.push(`XLIFF_VERSION must be one of: ${XLIFF_VERSIONS.join(', ')}`);
+  }
+  if (env.XLIFF_EXPORT === 'true' && env.XLIFF_IMPORT) {
+    errors.push('XLIFF export and import cannot be combined in one run');
+  }
+
+  return errors;
+}
+
+/**
+ * Returns the unit IDs of a batch of texts: their key paths, or their positions when the handler
+ * has none. Repeated key paths get a suffix ("#2"), so every ID is unique within the batch
+ * @param {number} count - Number of texts
+ * @param {Array<string>} keyPaths - Key paths of the texts (optional)
+ * @returns {Array<string>} - Unit IDs
+ */
+export function unitIds(count, keyPaths = []) {
+  const seen = new Map();
+
+  return Array.from({ length: count }, (unused, index) => {
+    const keyPath = keyPaths[index] !== undefined ? keyPaths[index] : String(index + 1);
+    const occurrence = (seen.get(keyPath) || 0) + 1;
+    seen.set(keyPath, occurrence);
+    return occurrence === 1 ? keyPath : `${keyPath}#${occurrence}`;
+  });
+}
+
+/**
+ * Converts a target language code to an XLIFF (BCP 47) language tag
+ * @param {string} lang - Language code (e.g. "DE", "PT-BR", "ZH-HANS")
+ * @returns {string} - Language tag (e.g. "de", "pt-BR", "zh-Hans")
+ */
+export function xliffLanguage(lang) {
+  const [language, ...subtags] = lang.split('-');
+  return [
+    language.toLowerCase(),
+    ...subtags.map(tag => (tag.length === 4 ? tag[0].toUpperCase() + tag.slice(1).toLowerCase() : tag.toUpperCase()))
+  ].join('-');
+}
+
+/**
+ * Writes an XLIFF document for one source file and target language
+ * @param {Object} file - { original, sourceLang, targetLang, units: [{ id, source, placeholders }] }
+ *   where source is a protected text and placeholders its map from protectPlaceholders
+ * @param {string} version - XLIFF version ("1.2" or "2.0")
+ * @returns {string} - XLIFF document
+ */
+export function buildXliff(file, version = DEFAULT_XLIFF_VERSION) {
+  const sourceLang = escapeAttribute(xliffLanguage(file.sourceLang));
+  const targetLang = escapeAttribute(xliffLanguage(file.targetLang));
+  const original = escapeAttribute(file.original);
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+  if (version === '2.0') {
+    lines.push(`<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="${sourceLang}" trgLang="${targetLang}">`);
+    lines.push(`  <file id="f1" original="${original}">`);
+    file.units.forEach((unit, index) => {
+      const id = NMTOKEN.test(unit.id) ? unit.id : `u${index + 1}`;
+      lines.push(`    <unit id="${escapeAttribute(id)}" name="${escapeAttribute(unit.id)}" xml:space="preserve">`);
+      lines.push('      <segment>');
+      lines.push(`        <source>${toXliffContent(unit.source, unit.placeholders, version)}</source>`);
+      lines.push('      </segment>');
+      lines.push('    </unit>');
+    });
+    lines.push('  </file>');
+  } else {
+    lines.push('<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">');
+    lines.push(`  <file original="${original}" source-language="${sourceLang}" target-language="${targetLang}" datatype="plaintext">`);
+    lines.push('    <body>');
+    for (const unit of file.units) {
+      lines.push(`      <trans-unit id="${escapeAttribute(unit.id)}" xml:space="preserve">`);
+      lines.push(`        <source>${toXliffContent(unit.source, unit.placeholders, version)}</source>`);
+      lines.push('      </trans-unit>');
+    }
+    lines.push('    </body>');
+    lines.push('  </file>');
+  }
+
+  lines.push('</xliff>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parses an XLIFF 1.2 or 2.0 document into files and units, with the source ranges of their elements
+ * @param {string} content - XLIFF document
+ * @returns {Object} - { version, root, files: [{ element, original, sourceLang, targetLang, units }] }
+ *   Units: { id, key, translate, element, parts: [{ container, source, target, ignorable }] }, where key
+ *   is the key path (2.0 name attribute, or the ID) and parts are the trans-unit (1.2) or the
+ *   segments and ignorables (2.0)
+ */
+export function parseXliff(content) {
+  const tree = parseXmlSource(content);
+  const root = tree.children.find(node => node.type === 'element');
+  if (!root || localName(root) !== 'xliff') {
+    throw new Error('Not an XLIFF document: the root element is not <xliff>');
+  }
+
+  const versionAttribute = attributeValue(root, 'version') || DEFAULT_XLIFF_VERSION;
+  const version = versionAttribute.startsWith('2') ? '2.0' : '1.2';
+
+  const files = childElements(root, 'file').map(file => ({
+    element: file,
+    original: attributeValue(file, 'original'),
+    sourceLang: version === '2.0' ? attributeValue(root, 'srcLang') : attributeValue(file, 'source-language'),
+    targetLang: version === '2.0' ? attributeValue(root, 'trgLang') : attributeValue(file, 'target-language'),
+    units: collectUnits(file, version, attributeValue(file, 'translate') !== 'no')
+  }));
+
+  return { version, root, files };
+}
+
+/**
+ * Reads the translations of an XLIFF document for import
+ * @param {string} content - XLIFF document
+ * @returns {Array<Object>} - [{ original, targetLang, units: Map of key path → { source, target } }] with
+ *   protected texts (placeholders as <x id="n"/>); target is null for untranslated units
+ */
+export function readXliffTranslations(content) {
+  return parseXliff(content).files.map(file => {
+    const units = new Map();
+
+    for (const unit of file.units) {
+      const part = (element) => (element ? fromXliffContent(content.slice(element.innerStart, element.innerEnd)) : null);
+      const sources = unit.parts.map(({ source }) => part(source));
+      // Ignorables (whitespace between 2.0 segments) need no translation
+      const targets = unit.parts.map(({ source, target, ignorable }) => (target || !ignorable ? part(target) : part(source)));
+
+      const joined = values => (values.some(value => value === null) ? null : values.join(''));
+      const target = joined(targets);
+      units.set(unit.key, { source: joined(sources), target: target !== null && target.trim() !== '' ? target : null });
+    }
+
+    return { original: file.original, targetLang: file.targetLang, units };
+  });
+}
+
+/**
+ * Loads the translations of every XLIFF file in a directory (or of a single file)
+ * @param {string} location - Directory or file path
+ * @returns {Promise<Map>} - "<LANG>\n<original>" → Map of key path → { source, target }
+ */
+export async function loadXliffTranslations(location) {
+  const stats = await fs.stat(location);
+  const files = stats.isDirectory() ? await findXliffFiles(location) : [location];
+
+  const translations = new Map();
+  for (const filePath of files) {
+    try {
+      for (const file of readXliffTranslations(await fs.readFile(filePath, 'utf-8'))) {
+        const key = `${(file.targetLang || '').toUpperCase()}\n${file.original}`;
+        translations.set(key, new Map([...(translations.get(key) || []), ...file.units]));
+      }
+    } catch (error) {
+      throw new Error(`Cannot read ${filePath}: ${error.message}`);
+    }
+  }
+
+  return translations;
+}
+
+/**
+ * Finds the XLIFF files in a directory and its subdirectories
+ * @param {string} dir - Directory path
+ * @returns {Promise<Array<string>>} - File paths
+ */
+async function findXliffFiles(dir) {
+  const files = [];
+
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await findXliffFiles(fullPath));
+    } else if (entry.isFile() && XLIFF_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Finds the imported translations of a source file
+ * @param {Map} translations - Translations from loadXliffTranslations
+ * @param {string} relativePath - Source file path relative to the input directory (with "/")
+ * @param {string} targetLang - Target language code
+ * @returns {Map|null} - Key path → { source, target }, or null if no XLIFF file covers the file
+ */
+export function findXliffTranslations(translations, relativePath, targetLang) {
+  // Files without a target language apply to every language
+  return translations.get(`${targetLang.toUpperCase()}\n${relativePath}`) ||
+    translations.get(`\n${relativePath}`) ||
+    null;
+}
+
+/**
+ * Converts a protected text to XLIFF inline content, with its placeholders as <ph> elements
+ * @param {string} protectedText - Text from protectPlaceholders (XML-escaped, with <x id="n"/> tags)
+ * @param {Array<Object>} placeholders - Placeholder map from protectPlaceholders
+ * @param {string} version - XLIFF version
+ * @returns {string} - Inline content
+ */
+export function toXliffContent(protectedText, placeholders, version) {
+  const content = protectedText.replace(PLACEHOLDER_TAG, (tag, id) => {
+    const original = placeholders[Number(id)].original;
+    return version === '2.0'
+      ? `<ph id="${id}" disp="${escapeAttribute(original)}" equiv="${escapeAttribute(original)}"/>`
+      : `<ph id="${id}">${escapeXml(original)}</ph>`;
+  });
+
+  // XML parsers turn a raw CR LF into LF, so carriage returns are written as references
+  return content.replace(/\r/g, '&#13;');
+}
+
+/**
+ * Converts XLIFF inline content back to a protected text
+ * @param {string} fragment - Content of a <source> or <target> element
+ * @returns {string|null} - Protected text, or null if it holds inline markup other than <ph> and <mrk>
+ */
+export function fromXliffContent(fragment) {
+  const text = fragment
+    .replace(CDATA_SECTION, (section, data) => escapeXml(data))
+    .replace(PH_ELEMENT, (element, id) => `<x id="${id}"/>`)
+    .replace(MRK_TAG, '')
+    .replace(/&#(?:13|x0*d);/gi, '\r');
+
+  return /<(?!x id="\d+"\/>)/.test(text) ? null : text;
+}
+
+/**
+ * Collects the units of a file or group
+ * @param {Object} parent - File or group element
+ * @param {string} version - XLIFF version
+ * @param {boolean} translate - Whether the parent is translatable (translate="no" is inherited)
+ * @param {Array<Object>} units - Units collected so far
+ * @returns {Array<Object>} - Units
+ */
+function collectUnits(parent, version, translate, units = []) {
+  for (const element of parent.children.filter(child => child.type === 'element')) {
+    const name = localName(element);
+    const translatable = translate && attributeValue(element, 'translate') !== 'no';
+
+    if (name === 'body' || name === 'group') {
+      collectUnits(element, version, translatable, units);
+    } else if (version === '1.2' && name === 'trans-unit') {
+      const id = attributeValue(element, 'id');
+      units.push({
+        id,
+        key: id,
+        translate: translatable,
+        element,
+        parts: [{ container: element, source: childElements(element, 'source')[0] || null, target: childElements(element, 'target')[0] || null, ignorable: false }]
+      });
+    } else if (version === '2.0' && name === 'unit') {
+      const id = attributeValue(element, 'id');
+      const parts = element.children
+        .filter(child => child.type === 'element' && ['segment', 'ignorable'].includes(localName(child)))
+        .map(child => ({
+          container: child,
+          source: childElements(child, 'source')[0] || null,
+          target: childElements(child, 'target')[0] || null,
+          ignorable: localName(child) === 'ignorable'
+        }));
+      units.push({ id, key: attributeValue(element, 'name') || id, translate: translatable, element, parts });
+    }
+  }
+
+  return units;
+}
+
+/**
+ * Returns the child elements of an element with a local name
+ * @param {Object} element - Element node
+ * @param {string} name - Local name (without namespace prefix)
+ * @returns {Array<Object>} - Child elements
+ */
+function childElements(element, name) {
+  return element.children.filter(child => child.type === 'element' && localName(child) === name);
+}
+
+/**
+ * Returns the name of an element without its namespace prefix
+ * @param {Object} element - Element node
+ * @returns {string} - Local name
+ */
+function localName(element) {
+  return element.name.slice(element.name.indexOf(':') + 1);
+}
+
+/**
+ * Returns the unescaped value of an attribute
+ * @param {Object} element - Element node
+ * @param {string} name - Attribute name
+ * @returns {string|null} - Value, or null if the attribute is missing
+ */
+function attributeValue(element, name) {
+  const attribute = getAttribute(element, name);
+  return attribute ? unescapeXml(attribute.value) : null;
+}
+
+/**
+ * Escapes a value for a double-quoted attribute
+ * @param {string} value - Value
+ * @returns {string} - Escaped value
+ */
+function escapeAttribute(value) {
+  return escapeXml(value).replace(/"/g, '&quot;').replace(/\n/g, '&#10;').replace(/\t/g, '&#9;');
+}
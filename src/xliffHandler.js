@@ -0,0 +1,194 @@
+/**
+ * XLIFF file handler
+ * Translates XLIFF 1.2 / 2.0 files as a CAT tool would pre-translate them: empty or missing
+ * <target> elements are filled from their <source>, everything else is left as written
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { translateBatch, estimateBatch } from './translator.js';
+import { loadSource } from './sourceCache.js';
+import { isWellFormedFragment, getAttribute, mapText, XML_MARKUP_PATTERN } from './xmlEditor.js';
+import { parseXliff, xliffLanguage } from './xliff.js';
+import { replaceRanges } from './utils.js';
+import { filterByKeyPath } from './keyFilter.js';
+import cliProgress from 'cli-progress';
+
+// Inline elements holding native code (<ph id="1">{player}</ph>, <bpt>, <ept>, <it>), protected whole
+const INLINE_CODE_PATTERN = /<(ph|bpt|ept|it)\b[^>]*?(?:\/>|(?<!\/)>[\s\S]*?<\/\1>)/g;
+
+/**
+ * Translates an XLIFF file
+ * @param {string} inputPath - Path to input XLIFF file
+ * @param {string} outputPath - Path to output XLIFF file
+ * @param {Object} config - Translator configuration
+ * @returns {Promise<Object>} - { total, failed } value counts
+ */
+export async function translateXliffFile(inputPath, outputPath, config) {
+  console.log(`\n📄 Processing XLIFF file: ${path.basename(inputPath)} (${config.sourceLang} → ${config.targetLang})`);
+
+  // Read and parse XLIFF file (parsed once per run, reused for every language)
+  const { content: fileContent, data: document } = await loadSource(inputPath, parseXliff);
+  const newline = fileContent.includes('\r\n') ? '\r\n' : '\n';
+
+  // The output declares the language it was translated to
+  const languageEdits = targetLanguageEdits(document, config.targetLang);
+
+  // Collect the segments without a translation (minus those skipped by the key rules)
+  const collected = collectUntranslatedSegments(fileContent, document);
+  const translations = filterByKeyPath(collected, config);
+
+  // Inline codes, tags and entities are protected like formatting codes, and unit IDs are the key paths
+  const xliffConfig = {
+    ...config,
+    placeholderPatterns: [INLINE_CODE_PATTERN, XML_MARKUP_PATTERN, ...(config.placeholderPatterns || [])],
+    keyPaths: translations.map(item => item.path)
+  };
+
+  // Dry run: count what would be sent, without calling the API or writing output
+  if (config.dryRun) {
+    const estimate = estimateBatch(translations.map(item => item.value), xliffConfig);
+    return { total: translations.length, failed: 0, estimate };
+  }
+
+  await fs.ensureDir(path.dirname(outputPath));
+
+  if (translations.length === 0) {
+    console.log('⚠️  No untranslated segments found');
+    await fs.writeFile(outputPath, replaceRanges(fileContent, languageEdits), 'utf-8');
+    return { total: 0, failed: 0 };
+  }
+
+  console.log(`📝 Found ${translations.length} segments to translate`);
+
+  // Create progress bar
+  const progressBar = new cliProgress.SingleBar({
+    format: 'Translation Progress |{bar}| {percentage}% | {value}/{total} segments',
+    barCompleteChar: '\u2588',
+    barIncompleteChar: '\u2591',
+    hideCursor: true
+  });
+
+  progressBar.start(translations.length, 0);
+
+  const malformed = [];
+
+  // Translate all segments in batches and write incrementally
+  const values = translations.map(item => item.value);
+  const { errors } = await translateBatch(values, xliffConfig, async (completed, total, updates) => {
+    for (const [index, translated] of updates) {
+      const item = translations[index];
+      // Characters the translation introduced that are special in XML text
+      const target = mapText(translated, part => part.replace(/&/g, '&amp;').replace(/</g, '&lt;'));
+
+      // Inline elements moved across each other by the translation would break the document
+      if (isWellFormedFragment(target)) {
+        item.target = item.leading + target + item.trailing;
+      } else {
+        malformed.push(item);
+      }
+    }
+
+    // Fill the translated targets and write current state to file
+    const edits = translations.filter(item => item.target !== undefined).map(item => targetEdit(item, fileContent, newline));
+    await fs.writeFile(outputPath, replaceRanges(fileContent, [...languageEdits, ...edits]), 'utf-8');
+
+    progressBar.update(completed);
+  });
+
+  progressBar.stop();
+
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} segments could not be translated and were left empty`);
+  }
+  if (malformed.length > 0) {
+    console.error(`❌ ${malformed.length} segments came back with broken inline markup and were left empty`);
+  }
+
+  console.log(`✅ Translation complete: ${path.basename(outputPath)}`);
+
+  return { total: translations.length, failed: errors.length + malformed.length };
+}
+
+/**
+ * Collects the segments whose target is missing or empty
+ * Units marked translate="no" and 2.0 ignorables are skipped. Key paths are unit IDs
+ * (the name attribute in XLIFF 2.0, where exported key paths are kept)
+ * @param {string} content - XLIFF source
+ * @param {Object} document - Parsed document from parseXliff
+ * @returns {Array<Object>} - [{ value, leading, trailing, part, path }]
+ */
+function collectUntranslatedSegments(content, document) {
+  const segments = [];
+
+  for (const unit of document.files.flatMap(file => file.units)) {
+    if (!unit.translate) {
+      continue;
+    }
+
+    for (const part of unit.parts) {
+      const inner = element => content.slice(element.innerStart, element.innerEnd);
+      if (part.ignorable || !part.source || inner(part.source).trim() === '' ||
+        (part.target && inner(part.target).trim() !== '')) {
+        continue;
+      }
+
+      // Whitespace around the text is kept out of the translation and restored around it
+      const raw = inner(part.source);
+      const leading = raw.slice(0, raw.length - raw.trimStart().length);
+      const trailing = raw.slice(raw.trimEnd().length);
+      segments.push({ value: raw.trim(), leading, trailing, part, path: unit.key });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Builds the edit writing a translated target: an empty <target> is filled, a missing one is
+ * added after its <source>, on a line of its own when the source has one
+ * @param {Object} item - Collected segment with its translated target content
+ * @param {string} content - XLIFF source
+ * @param {string} newline - Line break of the file
+ * @returns {Object} - Edit for replaceRanges
+ */
+function targetEdit(item, content, newline) {
+  const { source, target } = item.part;
+
+  if (target) {
+    const startTag = content.slice(target.start, target.innerStart).replace(/\s*\/>$/, '>');
+    return { start: target.start, end: target.end, source: `${startTag}${item.target}</${target.name}>` };
+  }
+
+  const name = source.name.replace(/source$/, 'target');
+  const lineStart = content.lastIndexOf('\n', source.start - 1) + 1;
+  const indent = content.slice(lineStart, source.start);
+  const separator = indent.trim() === '' ? newline + indent : '';
+  return { start: source.end, end: source.end, source: `${separator}<${name}>${item.target}</${name}>` };
+}
+
+/**
+ * Builds the edits setting the target language of the document (the target-language attribute of
+ * every <file> in XLIFF 1.2, trgLang of <xliff> in 2.0), adding the attribute when it is missing
+ * @param {Object} document - Parsed document from parseXliff
+ * @param {string} targetLang - Target language code
+ * @returns {Array<Object>} - Edits for replaceRanges
+ */
+function targetLanguageEdits(document, targetLang) {
+  const language = xliffLanguage(targetLang);
+  const elements = document.version === '2.0'
+    ? [[document.root, 'trgLang']]
+    : document.files.map(file => [file.element, 'target-language']);
+
+  return elements.flatMap(([element, name]) => {
+    const attribute = getAttribute(element, name);
+    if (attribute) {
+      return attribute.value === language ? [] : [{ start: attribute.start, end: attribute.end, source: language }];
+    }
+
+    // New attributes go after the last one (past its closing quote), or after the element name
+    const last = element.attributes[element.attributes.length - 1];
+    const at = last ? last.end + 1 : element.start + 1 + element.name.length;
+    return [{ start: at, end: at, source: ` ${name}="${language}"` }];
+  });
+}
@@ -0,0 +1,146 @@
+/**
+ * Format-preserving XML editing
+ * Parses XML into a tree of source ranges so text and attribute values can be rewritten
+ * in place, leaving element order, formatting, comments and declarations exactly as written
+ */
+
+// Markup inside a translatable fragment: tags, comments, CDATA sections and entity references
+export const XML_MARKUP_PATTERN = /<\/?[A-Za-z_][^<>]*>|<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|&(?:[A-Za-z][\w.-]*|#\d+|#x[0-9A-Fa-f]+);/g;
+
+// Splits a fragment into text and markup (odd indices)
+const MARKUP_SPLIT = new RegExp(`(${XML_MARKUP_PATTERN.source})`);
+
+const NAME = /^[A-Za-z_:][\w.:-]*/;
+const ATTRIBUTE = /^\s+([A-Za-z_:][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/;
+
+/**
+ * Parses an XML document or fragment into a tree of source ranges
+ * Elements: { type: 'element', name, attributes: [{ name, value, start, end }], start, end,
+ * innerStart, innerEnd, children }. Other nodes: { type: 'text' | 'cdata' | 'comment' |
+ * 'instruction' | 'doctype', start, end }; cdata nodes also have contentStart/contentEnd
+ * @param {string} content - XML source
+ * @returns {Object} - Root node ({ type: 'root', children })
+ */
+export function parseXmlSource(content) {
+  const root = { type: 'root', children: [], innerStart: 0, innerEnd: content.length };
+  const stack = [root];
+  let pos = 0;
+
+  const fail = (message) => {
+    const line = content.slice(0, pos).split('\n').length;
+    throw new Error(`${message} at line ${line}`);
+  };
+  const until = (terminator, message) => {
+    const end = content.indexOf(terminator, pos);
+    if (end === -1) {
+      fail(message);
+    }
+    return end + terminator.length;
+  };
+
+  while (pos < content.length) {
+    const parent = stack[stack.length - 1];
+    const start = pos;
+
+    if (content[pos] !== '<') {
+      const next = content.indexOf('<', pos);
+      pos = next === -1 ? content.length : next;
+      parent.children.push({ type: 'text', start, end: pos });
+    } else if (content.startsWith('<!--', pos)) {
+      pos = until('-->', 'Unterminated comment');
+      parent.children.push({ type: 'comment', start, end: pos });
+    } else if (content.startsWith('<![CDATA[', pos)) {
+      pos = until(']]>', 'Unterminated CDATA section');
+      parent.children.push({ type: 'cdata', start, end: pos, contentStart: start + 9, contentEnd: pos - 3 });
+    } else if (content.startsWith('<?', pos)) {
+      pos = until('?>', 'Unterminated processing instruction');
+      parent.children.push({ type: 'instruction', start, end: pos });
+    } else if (content.startsWith('<!', pos)) {
+      // DOCTYPE, possibly with an internal subset in brackets
+      const subset = content.indexOf('[', pos);
+      const close = content.indexOf('>', pos);
+      if (subset !== -1 && subset < close) {
+        pos = subset;
+        pos = until(']', 'Unterminated DOCTYPE');
+      }
+      pos = until('>', 'Unterminated DOCTYPE');
+      parent.children.push({ type: 'doctype', start, end: pos });
+    } else if (content[pos + 1] === '/') {
+      const name = content.slice(pos + 2).match(NAME);
+      pos = until('>', 'Unterminated closing tag');
+      if (!name || stack.length === 1 || parent.name !== name[0]) {
+        fail(`Unexpected closing tag </${name ? name[0] : ''}>`);
+      }
+      parent.innerEnd = start;
+      parent.end = pos;
+      stack.pop();
+    } else {
+      const name = content.slice(pos + 1).match(NAME);
+      if (!name) {
+        fail('Invalid tag');
+      }
+      const element = { type: 'element', name: name[0], attributes: [], start, children: [] };
+      pos += 1 + name[0].length;
+
+      for (let attribute; (attribute = content.slice(pos).match(ATTRIBUTE));) {
+        const value = attribute[2] !== undefined ? attribute[2] : attribute[3];
+        const valueEnd = pos + attribute[0].length - 1;
+        element.attributes.push({ name: attribute[1], value, start: valueEnd - value.length, end: valueEnd });
+        pos += attribute[0].length;
+      }
+
+      const close = content.slice(pos).match(/^\s*(\/?)>/);
+      if (!close) {
+        fail(`Invalid tag <${element.name}>`);
+      }
+      pos += close[0].length;
+      parent.children.push(element);
+
+      if (close[1]) {
+        element.innerStart = element.innerEnd = element.end = pos;
+      } else {
+        element.innerStart = pos;
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+}
+
+/**
+ * Checks whether a fragment of element content is well-formed (every tag closed in order)
+ * @param {string} fragment - XML fragment
+ * @returns {boolean} - True if the fragment parses
+ */
+export function isWellFormedFragment(fragment) {
+  try {
+    parseXmlSource(fragment);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns an attribute of an element
+ * @param {Object} element - Element node
+ * @param {string} name - Attribute name
+ * @returns {Object|undefined} - Attribute ({ name, value, start, end })
+ */
+export function getAttribute(element, name) {
+  return element.attributes.find(attribute => attribute.name === name);
+}
+
+/**
+ * Applies a function to the text parts of a fragment, leaving tags, comments, CDATA and entities alone
+ * @param {string} fragment - XML fragment
+ * @param {Function} fn - (text) => new text
+ * @returns {string} - Fragment with its text parts replaced
+ */
+export function mapText(fragment, fn) {
+  return fragment.split(MARKUP_SPLIT).map((part, index) => (index % 2 === 1 ? part : fn(part))).join('');
+}
@@ -1,48 +1,78 @@
 /**
  * XML file handler
- * Translates XML files while preserving structure and attributes
+ * Translates XML files in place, preserving element order, formatting, comments and
+ * declarations. Android resource files (res/values/*.xml) get dedicated handling
  */
 
 import fs from 'fs-extra';
 import path from 'path';
-import { XMLParser, XMLBuilder } from 'fast-xml-parser';
-import { translateText } from './translator.js';
+import { XMLValidator } from 'fast-xml-parser';
+import { translateBatch, estimateBatch } from './translator.js';
+import { loadSource } from './sourceCache.js';
+import { parseXmlSource, isWellFormedFragment, getAttribute, mapText, XML_MARKUP_PATTERN } from './xmlEditor.js';
+import { pluralCategories } from './icu.js';
+import { replaceRanges } from './utils.js';
+import { filterByKeyPath, joinKeyPath } from './keyFilter.js';
 import cliProgress from 'cli-progress';
 
+// Default XML settings (overridable with "xml" in translator.config.json)
+const DEFAULT_XML_OPTIONS = {
+  attributes: []   // Attribute names whose values are translated (e.g. "title", "label")
+};
+
+// Android placeholders whose content must never be translated (<xliff:g id="name">%1$s</xliff:g>)
+const XLIFF_G_PATTERN = /<xliff:g\b[^>]*>[\s\S]*?<\/xliff:g>/g;
+
+// Android values that point at another resource instead of holding text (@string/name, ?attr/name)
+const RESOURCE_REFERENCE = /^[@?](?:[\w.]+:)?[\w.]+\/[\w.]+$/;
+
+// "&" not starting an entity or character reference (e.g. "&6" colour codes in lenient files)
+const BARE_AMPERSAND = /&(?!(?:[A-Za-z][\w.-]*|#\d+|#x[0-9A-Fa-f]+);)/;
+
 /**
  * Translates an XML file
  * @param {string} inputPath - Path to input XML file
  * @param {string} outputPath - Path to output XML file
  * @param {Object} config - Translator configuration
+ * @returns {Promise<Object>} - { total, failed } value counts
  */
 export async function translateXmlFile(inputPath, outputPath, config) {
-  console.log(`\n📄 Processing XML file: ${path.basename(inputPath)}`);
+  console.log(`\n📄 Processing XML file: ${path.basename(inputPath)} (${config.sourceLang} → ${config.targetLang})`);
 
-  // Read file content
-  const fileContent = await fs.readFile(inputPath, 'utf-8');
+  // Read and parse XML file (parsed once per run, reused for every language)
+  const { content: fileContent, data: tree } = await loadSource(inputPath, parseXmlSource);
+  const android = isAndroidResources(tree);
+  const options = { ...DEFAULT_XML_OPTIONS, ...(config.settings && config.settings.xml) };
 
-  // Parse XML
-  const parser = new XMLParser({
-    ignoreAttributes: false,
-    preserveOrder: false,
-    format: true,
-    commentPropName: '#comment'
-  });
+  // Collect translatable values (minus those skipped by the key rules)
+  const plurals = [];
+  const collected = android
+    ? collectAndroidValues(fileContent, tree, plurals)
+    : collectTranslatableValues(fileContent, tree, options);
+  const translations = filterByKeyPath(collected, config);
 
-  const data = parser.parse(fileContent);
+  // Tags, entities and (in Android files) <xliff:g> placeholders are protected like formatting codes,
+  // and key paths identify the values in XLIFF exchange files
+  const xmlConfig = {
+    ...config,
+    placeholderPatterns: [...(android ? [XLIFF_G_PATTERN] : []), XML_MARKUP_PATTERN, ...(config.placeholderPatterns || [])],
+    keyPaths: translations.map(item => item.path)
+  };
 
-  // Collect translatable values
-  const translations = [];
-  collectTranslatableValues(data, translations);
+  // Dry run: count what would be sent, without calling the API or writing output
+  if (config.dryRun) {
+    const estimate = estimateBatch(translations.map(item => item.value), xmlConfig);
+    return { total: translations.length, failed: 0, estimate };
+  }
 
   if (translations.length === 0) {
     console.log('⚠️  No translatable content found');
     await fs.ensureDir(path.dirname(outputPath));
     await fs.writeFile(outputPath, fileContent, 'utf-8');
-    return;
+    return { total: 0, failed: 0 };
   }
 
-  console.log(`📝 Found ${translations.length} text nodes to translate`);
+  console.log(`📝 Found ${translations.length} ${android ? 'Android strings' : 'text nodes'} to translate`);
 
   // Ensure output directory exists
   await fs.ensureDir(path.dirname(outputPath));
@@ -57,57 +87,409 @@ export async function translateXmlFile(inputPath, outputPath, config) {
 
   progressBar.start(translations.length, 0);
 
-  // Translate each value and write incrementally
-  for (let i = 0; i < translations.length; i++) {
-    const item = translations[i];
-    try {
-      const translated = await translateText(item.value, config);
-      item.ref[item.key] = translated;
-
-      // Build XML from data
-      const builder = new XMLBuilder({
-        ignoreAttributes: false,
-        format: true,
-        indentBy: '    ',
-        suppressEmptyNode: false
-      });
+  // Only fail on an invalid result if the source itself was valid
+  const sourceValid = XMLValidator.validate(fileContent) === true;
+  const malformed = [];
+  let generatedPlurals = [];
+
+  // Translate all text nodes in batches and write incrementally. The bar is stopped even when
+  // a result fails validation, so the terminal cursor is restored
+  const values = translations.map(item => item.value);
+  let errors;
+  try {
+    ({ errors } = await translateBatch(values, xmlConfig, async (completed, total, updates) => {
+      for (const [index, translated] of updates) {
+        const item = translations[index];
+        const source = encodeValue(translated, item, fileContent);
+
+        // Tags moved across each other by the translation would break the document
+        if (item.kind === 'content' && !isWellFormedFragment(source)) {
+          malformed.push(item);
+        } else if (translated !== item.value) {
+          item.source = source;
+        }
+      }
 
-      const xmlOutput = '<?xml version="1.0" encoding="UTF-8"?>\n' + builder.build(data);
+      // Apply the edits and write current state to file
+      const edits = translations.filter(item => item.source !== undefined)
+        .map(item => ({ start: item.start, end: item.end, source: item.source }));
+      const pluralEdits = adaptPlurals(plurals, fileContent, edits, config.targetLang);
+      generatedPlurals = pluralEdits.generated;
 
-      // Write current state to file
+      const xmlOutput = replaceRanges(fileContent, [
+        ...edits.filter(edit => !pluralEdits.edits.some(plural => edit.start >= plural.start && edit.end <= plural.end)),
+        ...pluralEdits.edits
+      ]);
+      const validation = XMLValidator.validate(xmlOutput);
+      if (validation !== true && sourceValid) {
+        throw new Error(`Translated XML is not well-formed: ${validation.err.msg} (line ${validation.err.line})`);
+      }
       await fs.writeFile(outputPath, xmlOutput, 'utf-8');
 
-      progressBar.update(i + 1);
-    } catch (error) {
-      console.error(`\n❌ Error translating text node: ${error.message}`);
-      progressBar.update(i + 1);
-    }
+      progressBar.update(completed);
+    }));
+  } finally {
+    progressBar.stop();
   }
 
-  progressBar.stop();
+  reportGeneratedPlurals(generatedPlurals, config);
+
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} text nodes could not be translated and were kept as-is`);
+  }
+  if (malformed.length > 0) {
+    console.error(`❌ ${malformed.length} text nodes came back with broken markup and were kept as-is`);
+  }
 
   console.log(`✅ Translation complete: ${path.basename(outputPath)}`);
+
+  return { total: translations.length, failed: errors.length + malformed.length };
+}
+
+/**
+ * Validates XML settings from the project configuration
+ * @param {Object} options - { attributes }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validateXmlOptions(options) {
+  const errors = [];
+  const { attributes, ...unknown } = options;
+
+  for (const key of Object.keys(unknown)) {
+    errors.push(`unknown option "${key}" (expected attributes)`);
+  }
+  if (attributes !== undefined && !(Array.isArray(attributes) && attributes.every(name => typeof name === 'string' && name !== ''))) {
+    errors.push('attributes must be an array of attribute names');
+  }
+
+  return errors;
+}
+
+/**
+ * Checks whether a parsed document is an Android resource file (<resources> root)
+ * @param {Object} tree - Root node from parseXmlSource
+ * @returns {boolean} - True for Android resources
+ */
+function isAndroidResources(tree) {
+  const rootElement = tree.children.find(node => node.type === 'element');
+  return Boolean(rootElement) && rootElement.name === 'resources';
+}
+
+/**
+ * Checks whether a file is an Android default resource file (res/values/*.xml)
+ * @param {string} relativePath - Path relative to the input directory ('/' separators)
+ * @returns {boolean} - True when the file lives in a "values" directory
+ */
+export function isAndroidValuesPath(relativePath) {
+  const parts = relativePath.split('/');
+  return parts.length > 1 && parts[parts.length - 2] === 'values';
+}
+
+/**
+ * Maps an Android default resource file to the resource directory of a language
+ * e.g. res/values/strings.xml → res/values-pt-rBR/strings.xml for PT-BR
+ * @param {string} relativePath - Path relative to the input directory ('/' separators)
+ * @param {string} targetLang - Target language code
+ * @returns {string} - Relative output path
+ */
+export function androidOutputPath(relativePath, targetLang) {
+  const parts = relativePath.split('/');
+  parts[parts.length - 2] = `values-${androidLanguageQualifier(targetLang)}`;
+  return parts.join('/');
+}
+
+/**
+ * Converts a language code to an Android resource qualifier
+ * @param {string} lang - Language code (e.g. "DE", "PT-BR", "ZH-HANS")
+ * @returns {string} - Qualifier (e.g. "de", "pt-rBR", "b+zh+Hans")
+ */
+function androidLanguageQualifier(lang) {
+  const [language, region] = lang.toLowerCase().split('-');
+
+  if (!region) {
+    return language;
+  }
+  if (region.length === 2) {
+    return `${language}-r${region.toUpperCase()}`;
+  }
+  // Scripts need the BCP 47 form
+  return `b+${language}+${region[0].toUpperCase()}${region.slice(1)}`;
 }
 
 /**
- * Recursively collects all translatable string values from XML data
- * @param {*} obj - Current object/value being processed
+ * Collects the translatable content and attribute values of a generic XML document
+ * @param {string} content - XML source
+ * @param {Object} node - Current node from parseXmlSource
+ * @param {Object} options - XML settings ({ attributes })
+ * @param {Array<string|number>} keyPath - Element names leading to the node
  * @param {Array} translations - Array to collect translations
- * @param {Object} parent - Parent object reference
- * @param {string} key - Key in parent object
- */
-function collectTranslatableValues(obj, translations, parent = null, key = null) {
-  if (typeof obj === 'string') {
-    // Only translate non-empty strings that aren't just whitespace
-    if (obj.trim().length > 0 && parent && key) {
-      translations.push({ value: obj, ref: parent, key });
+ * @returns {Array} - Collected values
+ */
+function collectTranslatableValues(content, node, options, keyPath = [], translations = []) {
+  const elements = node.children.filter(child => child.type === 'element');
+
+  for (const element of elements) {
+    const elementPath = [...keyPath, ...elementSegments(element, elements)];
+    const translatable = getAttribute(element, 'translatable');
+    if (translatable && translatable.value === 'false') {
+      continue;
     }
-  } else if (typeof obj === 'object' && obj !== null) {
-    for (const [k, v] of Object.entries(obj)) {
-      // Skip attributes (they start with @)
-      if (!k.startsWith('@') && k !== '#comment') {
-        collectTranslatableValues(v, translations, obj, k);
+
+    for (const attribute of element.attributes) {
+      if (options.attributes.includes(attribute.name) && attribute.value.trim().length > 0) {
+        translations.push({
+          value: attribute.value,
+          kind: 'attribute',
+          start: attribute.start,
+          end: attribute.end,
+          path: joinKeyPath([...elementPath, `@${attribute.name}`])
+        });
       }
     }
+
+    // Elements with text are translated as a whole, inline markup included; others are containers
+    const unit = contentUnit(content, element);
+    if (unit) {
+      translations.push({ ...unit, path: joinKeyPath(elementPath) });
+    } else {
+      collectTranslatableValues(content, element, options, elementPath, translations);
+    }
+  }
+
+  return translations;
+}
+
+/**
+ * Returns the key segments of an element: its name, plus its index when siblings share the name
+ * @param {Object} element - Element node
+ * @param {Array<Object>} siblings - Elements of the same parent
+ * @returns {Array<string|number>} - Key segments
+ */
+function elementSegments(element, siblings) {
+  const sameName = siblings.filter(sibling => sibling.name === element.name);
+  return sameName.length > 1 ? [element.name, sameName.indexOf(element)] : [element.name];
+}
+
+/**
+ * Describes the translatable content of an element
+ * @param {string} content - XML source
+ * @param {Object} element - Element node
+ * @returns {Object|null} - { value, kind, start, end }, or null when the element holds no text
+ */
+function contentUnit(content, element) {
+  const meaningful = element.children.filter(child =>
+    (child.type === 'text' && content.slice(child.start, child.end).trim() !== '') ||
+    (child.type === 'cdata' && content.slice(child.contentStart, child.contentEnd).trim() !== '')
+  );
+
+  if (meaningful.length === 0) {
+    return null;
+  }
+
+  // A lone CDATA section: translate its content and keep the section
+  const others = element.children.filter(child => child.type !== 'text' || content.slice(child.start, child.end).trim() !== '');
+  if (others.length === 1 && others[0].type === 'cdata') {
+    const { contentStart, contentEnd } = others[0];
+    return trimmedUnit(content, contentStart, contentEnd, 'cdata');
+  }
+
+  return trimmedUnit(content, element.innerStart, element.innerEnd, 'content');
+}
+
+/**
+ * Builds a unit over a source range, without its leading and trailing whitespace
+ * @param {string} content - XML source
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @param {string} kind - 'content' or 'cdata'
+ * @returns {Object} - { value, kind, start, end }
+ */
+function trimmedUnit(content, start, end, kind) {
+  const raw = content.slice(start, end);
+  const leading = raw.length - raw.trimStart().length;
+  const trailing = raw.length - raw.trimEnd().length;
+  return { value: raw.trim(), kind, start: start + leading, end: end - trailing };
+}
+
+/**
+ * Collects the strings of an Android resource file
+ * Key paths are resource names: "app_name", "planets.0" (string-array), "songs.one" (plurals)
+ * @param {string} content - XML source
+ * @param {Object} tree - Root node from parseXmlSource
+ * @param {Array} plurals - Array to collect <plurals> elements for category adaptation
+ * @returns {Array} - Collected values
+ */
+function collectAndroidValues(content, tree, plurals) {
+  const translations = [];
+  const resources = tree.children.find(node => node.type === 'element');
+
+  const add = (element, segments) => {
+    const translatable = getAttribute(element, 'translatable');
+    const unit = contentUnit(content, element);
+    if (!unit || (translatable && translatable.value === 'false')) {
+      return null;
+    }
+
+    const { text, quoted } = fromAndroidString(unit.value);
+    if (RESOURCE_REFERENCE.test(text.trim()) || text.trim() === '') {
+      return null;
+    }
+    const item = { ...unit, value: text, android: { quoted }, path: joinKeyPath(segments) };
+    translations.push(item);
+    return item;
+  };
+
+  for (const element of resources.children.filter(child => child.type === 'element')) {
+    const name = getAttribute(element, 'name');
+    const translatable = getAttribute(element, 'translatable');
+    if (!name || (translatable && translatable.value === 'false')) {
+      continue;
+    }
+
+    const items = element.children.filter(child => child.type === 'element' && child.name === 'item');
+    if (element.name === 'string') {
+      add(element, [name.value]);
+    } else if (element.name === 'string-array') {
+      items.forEach((item, index) => add(item, [name.value, index]));
+    } else if (element.name === 'plurals') {
+      const entries = items.map(item => {
+        const quantity = getAttribute(item, 'quantity');
+        return { element: item, quantity: quantity ? quantity.value : null, translation: add(item, [name.value, quantity ? quantity.value : items.indexOf(item)]) };
+      });
+      plurals.push({ element, name: name.value, entries });
+    }
+  }
+
+  return translations;
+}
+
+/**
+ * Decodes an Android string for translation
+ * Escaped quotes become plain quotes and surrounding double quotes are removed; other escapes
+ * (\n, \t, \uXXXX, \\, \@) stay as written and are protected like placeholders
+ * @param {string} raw - Element content
+ * @returns {Object} - { text, quoted }
+ */
+function fromAndroidString(raw) {
+  const quoted = raw.length >= 2 && raw.startsWith('"') && raw.endsWith('"') && !raw.endsWith('\\"');
+  const body = quoted ? raw.slice(1, -1) : raw;
+  const text = mapText(body, part => part.replace(/\\[\s\S]/g, escape => (escape[1] === "'" || escape[1] === '"' ? escape[1] : escape)));
+  return { text, quoted };
+}
+
+/**
+ * Encodes a translated Android string: quotes are escaped again (apostrophes only outside
+ * double-quoted strings), and a leading @ or ? is escaped so it is not read as a reference
+ * @param {string} text - Translated text
+ * @param {boolean} quoted - Whether the source was wrapped in double quotes
+ * @returns {string} - Element content
+ */
+function toAndroidString(text, quoted) {
+  const body = mapText(text, part => part.replace(/\\[\s\S]|["']/g, match => {
+    if (match.length === 2 || (quoted && match === "'")) {
+      return match;
+    }
+    return `\\${match}`;
+  }));
+
+  return quoted ? `"${body}"` : body.replace(/^[@?]/, '\\$&');
+}
+
+/**
+ * Converts a translation back into source text for its location
+ * @param {string} translated - Translated value
+ * @param {Object} item - Collected value
+ * @param {string} content - XML source
+ * @returns {string} - Source text replacing the item's range
+ */
+function encodeValue(translated, item, content) {
+  const text = item.android ? toAndroidString(translated, item.android.quoted) : translated;
+
+  if (item.kind === 'cdata') {
+    return text.replace(/\]\]>/g, ']]]]><![CDATA[>');
+  }
+
+  // Characters the translation introduced that are special in XML text. Values whose source
+  // already used bare "&" keep them bare, so "&6" does not turn into "&amp;6"
+  const ampersand = BARE_AMPERSAND.test(item.value) ? '&' : '&amp;';
+  const escaped = mapText(text, part => part.replace(/&/g, ampersand).replace(/</g, '&lt;'));
+  if (item.kind === 'attribute') {
+    const quote = content[item.start - 1];
+    return escaped.replace(quote === '"' ? /"/g : /'/g, quote === '"' ? '&quot;' : '&apos;');
+  }
+  return escaped;
+}
+
+/**
+ * Adapts <plurals> elements to the target language's plural categories
+ * Quantities the language does not use are dropped; missing ones are copied from "other"
+ * @param {Array<Object>} plurals - Plurals from collectAndroidValues
+ * @param {string} content - XML source
+ * @param {Array<Object>} edits - Translation edits ({ start, end, source })
+ * @param {string} targetLang - Target language code
+ * @returns {Object} - { edits: replacements of whole <plurals> contents, generated: [{ name, quantity, item }] }
+ */
+function adaptPlurals(plurals, content, edits, targetLang) {
+  const categories = pluralCategories(targetLang);
+  const result = { edits: [], generated: [] };
+
+  for (const { element, name, entries } of plurals) {
+    const byQuantity = new Map(entries.map(entry => [entry.quantity, entry]));
+    const other = byQuantity.get('other');
+    const unchanged = entries.length === categories.length && categories.every(category => byQuantity.has(category));
+    if (!other || unchanged) {
+      continue;
+    }
+
+    // Item source with its translation applied
+    const itemSource = ({ element: item }) => replaceRanges(
+      content.slice(item.start, item.end),
+      edits.filter(edit => edit.start >= item.start && edit.end <= item.end)
+        .map(edit => ({ ...edit, start: edit.start - item.start, end: edit.end - item.start }))
+    );
+
+    const firstItem = entries[0].element;
+    const lastItem = entries[entries.length - 1].element;
+    const indent = content.slice(element.innerStart, firstItem.start);
+    const closing = content.slice(lastItem.end, element.innerEnd);
+
+    const items = categories.map(category => {
+      if (byQuantity.has(category)) {
+        return itemSource(byQuantity.get(category));
+      }
+      result.generated.push({ name, quantity: category, item: other.translation });
+      return itemSource(other).replace(/(quantity\s*=\s*["'])other(["'])/, `$1${category}$2`);
+    });
+
+    result.edits.push({
+      start: element.innerStart,
+      end: element.innerEnd,
+      source: items.map(item => indent + item).join('') + closing
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Lists generated plural quantities as QA warnings, since they need a human to adjust their wording
+ * @param {Array<Object>} generated - Generated quantities from adaptPlurals
+ * @param {Object} config - Translator configuration
+ */
+function reportGeneratedPlurals(generated, config) {
+  if (!config.qa || !config.summary || config.qa.ignore.includes('plurals')) {
+    return;
+  }
+
+  for (const { name, quantity, item } of generated) {
+    config.summary.qaIssues.push({
+      file: config.fileName,
+      language: config.targetLang,
+      check: 'plurals',
+      severity: 'warning',
+      message: `Generated plural item needs review: "${quantity}" of <plurals name="${name}"> copied from "other"`,
+      source: item ? item.value : '',
+      target: item && item.source !== undefined ? item.source : ''
+    });
   }
 }
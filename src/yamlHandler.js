@@ -1,34 +1,53 @@
 /**
  * YAML file handler
- * Parses, translates, and saves YAML files while preserving structure
+ * Translates YAML files through the yaml package's CST, so only scalar values change and
+ * comments, quoting styles, block scalars, anchors and multi-document layout stay intact
  */
 
 import fs from 'fs-extra';
 import YAML from 'yaml';
 import path from 'path';
-import { translateText } from './translator.js';
+import { translateBatch, estimateBatch } from './translator.js';
+import { loadSource } from './sourceCache.js';
+import { filterByKeyPath, joinKeyPath } from './keyFilter.js';
 import cliProgress from 'cli-progress';
 
+// Explicit tags whose scalars are still plain strings
+const STRING_TAGS = ['!!str', 'tag:yaml.org,2002:str'];
+
 /**
  * Translates a YAML file
  * @param {string} inputPath - Path to input YAML file
  * @param {string} outputPath - Path to output YAML file
  * @param {Object} config - Translator configuration
+ * @returns {Promise<Object>} - { total, failed } value counts
  */
 export async function translateYamlFile(inputPath, outputPath, config) {
-  console.log(`\n📄 Processing YAML file: ${path.basename(inputPath)}`);
+  console.log(`\n📄 Processing YAML file: ${path.basename(inputPath)} (${config.sourceLang} → ${config.targetLang})`);
+
+  // Read and parse YAML file (parsed once per run; every language edits its own copy of the tokens)
+  const { data: tokens } = await loadSource(inputPath, parseYamlTokens);
+  const documents = composeDocuments(tokens);
 
-  // Read and parse YAML file
-  const fileContent = await fs.readFile(inputPath, 'utf-8');
-  const data = YAML.parse(fileContent);
+  // Collect all translatable values (minus those skipped by the key rules)
+  const collected = [];
+  for (const document of documents) {
+    collectTranslatableValues(document.contents, collected);
+  }
+  const translations = filterByKeyPath(collected, config);
 
-  // Collect all translatable values
-  const translations = [];
-  collectTranslatableValues(data, translations);
+  // Key paths identify the values in XLIFF exchange files
+  const yamlConfig = { ...config, keyPaths: translations.map(item => item.path) };
+
+  // Dry run: count what would be sent, without calling the API or writing output
+  if (config.dryRun) {
+    const estimate = estimateBatch(translations.map(item => item.value), yamlConfig);
+    return { total: translations.length, failed: 0, estimate };
+  }
 
   if (translations.length === 0) {
     console.log('⚠️  No translatable content found');
-    return;
+    return { total: 0, failed: 0 };
   }
 
   console.log(`📝 Found ${translations.length} values to translate`);
@@ -46,54 +65,114 @@ export async function translateYamlFile(inputPath, outputPath, config) {
 
   progressBar.start(translations.length, 0);
 
-  // Translate each value and write incrementally
-  for (let i = 0; i < translations.length; i++) {
-    const item = translations[i];
-    try {
-      const translated = await translateText(item.value, config);
-      item.ref[item.key] = translated;
-      
-      // Write current state to file after each translation
-      const yamlOutput = YAML.stringify(data, {
-        lineWidth: 0, // Disable line wrapping
-        indent: 2
-      });
-      await fs.writeFile(outputPath, yamlOutput, 'utf-8');
-      
-      progressBar.update(i + 1);
-    } catch (error) {
-      console.error(`\n❌ Error translating "${item.value}": ${error.message}`);
-      // Keep original value on error
-      progressBar.update(i + 1);
+  // Translate all values in batches and write incrementally
+  const values = translations.map(item => item.value);
+  const { errors } = await translateBatch(values, yamlConfig, async (completed, total, updates) => {
+    for (const [index, translated] of updates) {
+      setScalarValue(translations[index], translated);
     }
-  }
+
+    // Write current state to file after each batch
+    const yamlOutput = tokens.map(token => YAML.CST.stringify(token)).join('');
+    await fs.writeFile(outputPath, yamlOutput, 'utf-8');
+
+    progressBar.update(completed);
+  });
 
   progressBar.stop();
 
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} values could not be translated and were kept as-is`);
+  }
+
   console.log(`✅ Translation complete: ${path.basename(outputPath)}`);
+
+  return { total: translations.length, failed: errors.length };
+}
+
+/**
+ * Parses a YAML file into CST tokens
+ * @param {string} content - YAML source
+ * @returns {Array<Object>} - CST tokens
+ */
+function parseYamlTokens(content) {
+  return [...new YAML.Parser().parse(content)];
+}
+
+/**
+ * Composes the documents of a YAML file, keeping the source tokens of each node
+ * @param {Array<Object>} tokens - CST tokens from parseYamlTokens
+ * @returns {Array<Object>} - YAML documents
+ */
+function composeDocuments(tokens) {
+  const documents = [...new YAML.Composer({ keepSourceTokens: true }).compose(tokens)];
+
+  for (const document of documents) {
+    if (document.errors.length > 0) {
+      throw document.errors[0];
+    }
+  }
+
+  return documents;
 }
 
 /**
- * Recursively collects all translatable string values from YAML data
- * @param {*} obj - Current object/value being processed
+ * Recursively collects all translatable string scalars from a YAML node
+ * Keys, aliases, non-string scalars and custom-tagged scalars are left alone
+ * @param {Object} node - Current YAML node
  * @param {Array} translations - Array to collect translations
- * @param {Object} parent - Parent object reference
- * @param {string} key - Key in parent object
+ * @param {Array<string|number>} keyPath - Key segments leading to the node
+ * @param {boolean} inFlow - Whether the node is inside a flow collection ([...] or {...})
  */
-function collectTranslatableValues(obj, translations, parent = null, key = null) {
-  if (typeof obj === 'string' && obj.trim().length > 0) {
-    // This is a translatable string value
-    if (parent && key !== null) {
+function collectTranslatableValues(node, translations, keyPath = [], inFlow = false) {
+  if (YAML.isScalar(node)) {
+    const isString = typeof node.value === 'string' && (!node.tag || STRING_TAGS.includes(node.tag));
+    if (isString && node.value.trim().length > 0 && node.srcToken) {
       translations.push({
-        value: obj,
-        ref: parent,
-        key: key
+        value: node.value,
+        token: node.srcToken,
+        inFlow,
+        path: joinKeyPath(keyPath)
       });
     }
-  } else if (typeof obj === 'object' && obj !== null) {
-    // Recursively process object/array
-    for (const [k, v] of Object.entries(obj)) {
-      collectTranslatableValues(v, translations, obj, k);
+  } else if (YAML.isMap(node)) {
+    for (const pair of node.items) {
+      const key = YAML.isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+      collectTranslatableValues(pair.value, translations, [...keyPath, key], inFlow || node.flow);
     }
+  } else if (YAML.isSeq(node)) {
+    node.items.forEach((item, index) => {
+      collectTranslatableValues(item, translations, [...keyPath, index], inFlow || node.flow);
+    });
   }
 }
+
+/**
+ * Replaces the source of a scalar token, keeping its quoting or block style where the new value allows it
+ * @param {Object} item - Collected value ({ value, token, inFlow })
+ * @param {string} translated - New value
+ */
+function setScalarValue(item, translated) {
+  const { token } = item;
+
+  // Unchanged values keep their exact source, including the line folding of ">" scalars
+  if (translated === item.value) {
+    return;
+  }
+
+  if (token.type !== 'block-scalar') {
+    YAML.CST.setScalarValue(token, translated, { inFlow: item.inFlow });
+    return;
+  }
+
+  // Block scalars: keep the source's trailing line breaks (they decide the chomping
+  // indicator) and its content indentation, which the CST would reset to the parent's
+  const trailing = item.value.match(/\n*$/)[0];
+  const value = translated.replace(/\n*$/, trailing);
+  const contentLine = token.source.split('\n').find(line => line.trim() !== '');
+  const parentIndent = token.indent;
+
+  token.indent = contentLine ? contentLine.match(/^ */)[0].length : parentIndent + 2;
+  YAML.CST.setScalarValue(token, value);
+  token.indent = parentIndent;
+}